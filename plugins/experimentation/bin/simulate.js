@@ -0,0 +1,132 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+/* eslint-env node */
+/* eslint-disable no-console */
+import { readFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+import {
+  DEFAULT_DECISIONING_OPTIONS,
+  getExperimentConfig,
+  toClassName,
+  toDecisionPolicy,
+} from '../src/decisioning.js';
+import { createServerEnvironment } from '../src/adapters/server.js';
+import { simulate } from '../src/simulator.js';
+
+const USAGE = `Usage: npm run simulate -- (--policy <file> | --metadata <file>) [options]
+
+Runs synthetic visitors through a decision policy, and checks the observed allocations.
+
+  --policy <file>     a decision policy, as JSON
+  --metadata <file>   the experiment metadata of a page, as JSON
+                      (i.e. { "Experiment": "my-test", "Experiment Variants": "/a, /b" })
+  --visitors <n>      the number of visitors to simulate (default: 10000)
+  --unit <unit>       device, visitor or both (default: both)
+  --seed <seed>       the seed for the random number generator (default: simulation)`;
+
+/**
+ * Builds the decision policy from the experiment metadata of a page.
+ * @param {Object} rawMetadata the metadata, as in the page head or in the metadata block
+ * @returns {Promise<Object>} the decision policy
+ */
+async function metadataToPolicy(rawMetadata) {
+  const scope = DEFAULT_DECISIONING_OPTIONS.experimentsMetaTag;
+  const metadata = Object.entries(rawMetadata).reduce((res, [name, value]) => {
+    const key = toClassName(name);
+    if (key === scope) {
+      res.value = value;
+    } else {
+      res[key.startsWith(`${scope}-`) ? key.substring(scope.length + 1) : key] = value;
+    }
+    return res;
+  }, {});
+  const options = { ...DEFAULT_DECISIONING_OPTIONS };
+  const env = createServerEnvironment(options, {
+    url: 'https://localhost/',
+    // bandit statistics are not needed to simulate the bucketing
+    fetch: async () => ({ ok: false, status: 404, statusText: 'Not Found' }),
+  });
+  const config = await getExperimentConfig(options, metadata, {}, env);
+  if (!config) {
+    throw new Error('The metadata does not define any experiment');
+  }
+  return toDecisionPolicy(config);
+}
+
+const percent = (value) => `${(value * 100).toFixed(2)}%`.padStart(9);
+
+/**
+ * Prints the simulation report.
+ * @param {String} unit the randomization unit
+ * @param {Object} report the simulation report
+ * @returns {Boolean} `true` if a sample ratio mismatch was detected
+ */
+function printReport(unit, report) {
+  let hasMismatch = false;
+  console.log(`\n${unit}: ${report.visitors} visitors`);
+  Object.entries(report.outcomes)
+    .sort(([a], [b]) => a.localeCompare(b))
+    .forEach(([outcome, count]) => {
+      console.log(`  ${outcome.padEnd(40)} ${String(count).padStart(8)} ${percent(count / report.visitors)}`);
+    });
+  Object.entries(report.experiments).forEach(([id, experiment]) => {
+    console.log(`\n  Experiment "${id}": ${experiment.enrolled} enrolled visitors`);
+    console.log(`    ${'treatment'.padEnd(24)} ${'expected'.padStart(9)} ${'observed'.padStart(9)} ${'count'.padStart(8)}`);
+    experiment.treatments.forEach((t) => {
+      console.log(`    ${t.id.padEnd(24)} ${percent(t.expected)} ${percent(t.observed)} ${String(t.count).padStart(8)}`);
+    });
+    if (!experiment.srm) {
+      console.log('    Bandit allocations are adaptive, so the split is not checked');
+      return;
+    }
+    const { chiSquare, freedom, pValue } = experiment.srm;
+    console.log(`    chi-square: ${chiSquare.toFixed(3)} (${freedom} df), p-value: ${pValue.toFixed(4)}: ${experiment.srm.isMismatch ? 'SAMPLE RATIO MISMATCH' : 'OK'}`);
+    hasMismatch = hasMismatch || experiment.srm.isMismatch;
+  });
+  return hasMismatch;
+}
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      policy: { type: 'string' },
+      metadata: { type: 'string' },
+      visitors: { type: 'string', default: '10000' },
+      unit: { type: 'string', default: 'both' },
+      seed: { type: 'string', default: 'simulation' },
+      help: { type: 'boolean', short: 'h' },
+    },
+  });
+  if (values.help || (!values.policy && !values.metadata)) {
+    console.log(USAGE);
+    process.exit(values.help ? 0 : 1);
+  }
+
+  const input = JSON.parse(await readFile(values.policy || values.metadata, 'utf-8'));
+  const policy = values.policy ? input : await metadataToPolicy(input);
+  const units = values.unit === 'both' ? ['DEVICE', 'VISITOR'] : [values.unit.toUpperCase()];
+  const visitors = parseInt(values.visitors, 10);
+
+  const hasMismatch = units
+    .map((unit) => printReport(unit, simulate(policy, {
+      visitors,
+      randomizationUnit: unit,
+      seed: values.seed,
+    })))
+    .some((mismatch) => mismatch);
+  process.exit(hasMismatch ? 2 : 0);
+}
+
+main().catch((err) => {
+  console.error(err.message);
+  process.exit(1);
+});
@@ -0,0 +1,136 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import {
+  createClock,
+  createCookieStorage,
+  createIdentityProvider,
+  createRandom,
+} from '../decisioning.js';
+
+/**
+ * Gets a web storage, if the browser lets us access it.
+ * @param {String} name Either `localStorage` or `sessionStorage`
+ * @returns {Object} the storage, or `null` (in which case the assignments are kept in memory)
+ */
+function getWebStorage(name) {
+  try {
+    return window[name];
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Gets the storage used to persist the assignments between page views.
+ * @param {Object} options the plugin options
+ * @returns {Object} the storage
+ */
+function getStorage(options) {
+  if (options.storage && typeof options.storage === 'object') {
+    return options.storage;
+  }
+  switch (options.storage) {
+    case 'cookie':
+      return createCookieStorage({
+        read: () => document.cookie,
+        write: (cookie) => { document.cookie = cookie; },
+        ttl: options.storageTtl,
+        secure: window.location.protocol === 'https:',
+      });
+    case 'localStorage':
+      return getWebStorage('localStorage');
+    default:
+      return getWebStorage('sessionStorage');
+  }
+}
+
+/**
+ * Counts the visits of the visitor, i.e. the sessions in which they were evaluated.
+ * @param {Object} options the plugin options
+ * @returns {Number} the number of visits, including the current one
+ */
+function countVisits(options) {
+  const localStorage = getWebStorage('localStorage');
+  const sessionStorage = getWebStorage('sessionStorage');
+  try {
+    let visits = Number(localStorage.getItem(options.visitsStorageKey)) || 0;
+    if (!sessionStorage.getItem(options.visitsStorageKey)) {
+      visits += 1;
+      localStorage.setItem(options.visitsStorageKey, visits);
+      sessionStorage.setItem(options.visitsStorageKey, 'true');
+    }
+    return visits;
+  } catch (err) {
+    return 0;
+  }
+}
+
+/**
+ * Gets the details of the visitor that declarative audience rules can test.
+ * @param {Object} options the plugin options
+ * @returns {Object} the visitor details
+ */
+function getVisitor(options) {
+  const cookies = Object.fromEntries(document.cookie.split(';')
+    .map((c) => c.trim())
+    .filter((c) => c.includes('='))
+    .map((c) => {
+      const value = c.substring(c.indexOf('=') + 1);
+      try {
+        return [c.substring(0, c.indexOf('=')), decodeURIComponent(value)];
+      } catch (err) {
+        return [c.substring(0, c.indexOf('=')), value];
+      }
+    }));
+  return {
+    referrer: document.referrer,
+    cookies,
+    getStoredItem: (key) => getWebStorage('localStorage')?.getItem(key),
+    width: window.innerWidth,
+    language: navigator.language,
+    visits: countVisits(options),
+  };
+}
+
+/**
+ * Creates the decisioning environment for the browser.
+ * @param {Object} options the plugin options
+ * @param {Object} [overrides] additional environment properties, like `debug` or `isPreview`
+ * @returns {Object} the decisioning environment
+ */
+// eslint-disable-next-line import/prefer-default-export
+export function createBrowserEnvironment(options, overrides = {}) {
+  const storage = getStorage(options);
+  // the visitor identity outlives the session, unless the project opted for cookies
+  const identityStorage = options.storage === 'cookie' ? storage : getWebStorage('localStorage');
+  // the exposure ledgers must outlive the session too, for the frequency caps to span several days
+  const persistentStorage = options.storage === 'cookie' || typeof options.storage === 'object'
+    ? storage
+    : getWebStorage('localStorage') || storage;
+  const debug = overrides.debug || (() => {});
+  return {
+    url: new URL(window.location.href),
+    now: createClock(options),
+    random: createRandom(options),
+    storage,
+    persistentStorage,
+    cache: getWebStorage('localStorage'),
+    getIdentityMap: createIdentityProvider(options, identityStorage, debug),
+    fetch: (...args) => window.fetch(...args),
+    getMetadata: () => '',
+    getVisitor: () => getVisitor(options),
+    debug,
+    holdout: null,
+    isPreview: false,
+    ...overrides,
+  };
+}
@@ -0,0 +1,112 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import {
+  createClock,
+  createCookieStorage,
+  createIdentityProvider,
+  createMemoryStorage,
+  createRandom,
+} from '../decisioning.js';
+
+/**
+ * Creates the decisioning environment for Node and edge workers.
+ * Assignments and the visitor identity are persisted in first-party cookies, so that the
+ * decisions made on the server are consistent with the ones made in the browser
+ * when the plugin uses the `cookie` storage.
+ * @param {Object} options the plugin options
+ * @param {Object} request the request details
+ * @param {String|URL} request.url The URL of the requested page
+ * @param {String} [request.cookie] The value of the `Cookie` request header
+ * @param {String} [request.referrer] The value of the `Referer` request header
+ * @param {String} [request.language] The value of the `Accept-Language` request header
+ * @param {Function} [request.now] The clock, defaults to the `clock` option or `Date.now`
+ * @param {Function} [request.random] The random number generator, defaults to a generator
+ * seeded with the `randomSeed` option, or `Math.random`
+ * @param {Function} [request.fetch] The method used to fetch remote resources,
+ * defaults to the global `fetch`
+ * @param {Object} [request.cache] A cache for fetched data, defaults to an in-memory cache
+ * @param {Object} [request.metadata] The page metadata, if already known
+ * @param {Boolean} [request.isPreview] Whether the page is served on a preview environment,
+ * in which case draft experiments are served too
+ * @returns {Object} the decisioning environment, with an additional `getSetCookieHeaders`
+ * method returning the `Set-Cookie` headers to add to the response
+ */
+// eslint-disable-next-line import/prefer-default-export
+export function createServerEnvironment(options, {
+  url,
+  cookie,
+  referrer,
+  language,
+  now = createClock(options),
+  random = createRandom(options),
+  fetch = (...args) => globalThis.fetch(...args),
+  cache = createMemoryStorage(),
+  metadata = {},
+  debug = () => {},
+  isPreview = false,
+} = {}) {
+  const pageUrl = new URL(url);
+  // missing headers are `null` when read with `Headers.get`, which a default value doesn't cover
+  const cookieHeader = cookie ?? '';
+  const referrerHeader = referrer ?? '';
+  const languageHeader = language ?? '';
+  const jar = new Map(cookieHeader.split(';')
+    .map((c) => c.trim())
+    .filter((c) => c.includes('='))
+    .map((c) => [c.substring(0, c.indexOf('=')), c.substring(c.indexOf('=') + 1)]));
+  const setCookieHeaders = new Map();
+  const cookieStorage = createCookieStorage({
+    read: () => [...jar.entries()].map(([k, v]) => `${k}=${v}`).join('; '),
+    write: (setCookie) => {
+      const [pair] = setCookie.split(';');
+      const key = pair.substring(0, pair.indexOf('='));
+      const value = pair.substring(pair.indexOf('=') + 1);
+      if (value) {
+        jar.set(key, value);
+      } else {
+        jar.delete(key);
+      }
+      setCookieHeaders.set(key, setCookie);
+    },
+    ttl: options.storageTtl,
+    secure: pageUrl.protocol === 'https:',
+  });
+  const storage = options.storage && typeof options.storage === 'object'
+    ? options.storage
+    : cookieStorage;
+  return {
+    url: pageUrl,
+    now,
+    random,
+    storage,
+    persistentStorage: storage,
+    cache,
+    getIdentityMap: createIdentityProvider(options, storage, debug),
+    fetch,
+    getMetadata: (name) => metadata[name] || '',
+    getVisitor: () => ({
+      referrer: referrerHeader,
+      cookies: Object.fromEntries([...jar.entries()].map(([k, v]) => {
+        try {
+          return [k, decodeURIComponent(v)];
+        } catch (err) {
+          return [k, v];
+        }
+      })),
+      language: languageHeader.split(',')[0].split(';')[0].trim(),
+    }),
+    debug,
+    holdout: null,
+    isPreview,
+    getSetCookieHeaders: () => [...setCookieHeaders.values()],
+  };
+}
@@ -0,0 +1,2019 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import { ued } from './ued.js';
+
+/**
+ * The decisioning core. It is environment-agnostic, so that the same decisions can be made
+ * in the browser, in Node or at the CDN edge. Everything that depends on the runtime is
+ * injected via an environment object (see the adapters), with the following properties:
+ * - `url` {URL} the URL of the current page
+ * - `now` {Function} returns the current timestamp, in milliseconds
+ * - `random` {Function} returns a random number in [0, 1), like `Math.random`
+ * - `storage` {Object} persists the assignments between page views (`getItem`/`setItem`)
+ * - `cache` {Object} caches fetched data, like bandit statistics (`getItem`/`setItem`)
+ * - `getIdentityMap` {Function} resolves the visitor identity map (see `createIdentityProvider`)
+ * - `fetch` {Function} fetches remote resources
+ * - `getMetadata` {Function} reads the page metadata
+ * - `debug` {Function} logs debug messages
+ * - `holdout` {Object} the visitor's holdout group, once resolved (see `getHoldout`)
+ * - `isPreview` {Boolean} whether the page is served on a preview (non-production) environment
+ */
+
+export const DEFAULT_DECISIONING_OPTIONS = {
+  // Storage related properties
+  storage: 'sessionStorage',
+  storageTtl: 30, // days
+  experimentsStorageKey: 'unified-decisioning-experiments',
+  bucketsStorageKey: 'unified-decisioning-buckets',
+  offersStorageKey: 'unified-decisioning-offers',
+  campaignsStorageKey: 'unified-decisioning-campaigns',
+  funnelsStorageKey: 'unified-decisioning-funnels',
+
+  // Holdout related properties
+  holdoutId: 'global',
+  holdoutPercentage: 0,
+
+  // Audiences related properties
+  audiences: {},
+  audiencesMetaTagPrefix: 'audience',
+  audiencesQueryParameter: 'audience',
+  audiencesTimeout: 1000, // 1 second, per audience
+  audiencesStorageKey: 'unified-decisioning-audiences',
+  audiencesStorageTtl: null, // minutes
+  audiencesConfigFile: null,
+  audiencesConfigRefreshInterval: 5 * 60 * 1000, // 5 minutes
+  visitsStorageKey: 'aem-experimentation-visits',
+
+  // Campaigns related properties
+  campaignsMetaTagPrefix: 'campaign',
+  campaignsQueryParameter: 'campaign',
+
+  // Experimentation related properties
+  experimentsRoot: '/experiments',
+  experimentsConfigFile: 'manifest.json',
+  experimentsUseConfigFile: false,
+  experimentsMetaTag: 'experiment',
+  experimentsQueryParameter: 'experiment',
+  experimentsRedirectQueryParameter: 'redirect-experiment',
+  experimentsRandomizationUnit: 'device',
+  experimentsBanditStatsFile: 'bandit-stats.json',
+  experimentsBanditRefreshInterval: 60 * 60 * 1000, // 1 hour
+  experimentsIndexFile: null,
+  experimentsIndexRefreshInterval: 5 * 60 * 1000, // 5 minutes
+  blocksCodeHosts: [],
+
+  // Identity related properties
+  identityNamespace: 'FPID',
+  identityResolver: null,
+  identityStorageKey: 'aem-experimentation-id',
+
+  // Testing related properties
+  randomSeed: null,
+  clock: null,
+};
+
+/**
+ * Splits a comma or newline separated string into an array.
+ * @param {String|String[]} str The string to split
+ * @returns {String[]} the list of values
+ */
+export function stringToArray(str) {
+  if (Array.isArray(str)) {
+    return str;
+  }
+  return str ? str.split(/[,\n]/).filter((s) => s.trim()) : [];
+}
+
+/**
+ * Sanitizes a name for use as class name.
+ * @param {String} name The unsanitized name
+ * @returns {String} The class name
+ */
+export function toClassName(name) {
+  return typeof name === 'string'
+    ? name.toLowerCase().replace(/[^0-9a-z]/gi, '-').replace(/-+/g, '-').replace(/^-|-$/g, '')
+    : '';
+}
+
+/**
+ * Sanitizes a name for use as a js property name.
+ * @param {String} name The unsanitized name
+ * @returns {String} The camelCased name
+ */
+export function toCamelCase(name) {
+  return toClassName(name).replace(/-([a-z])/g, (g) => g[1].toUpperCase());
+}
+
+/**
+ * Fetches a JSON endpoint in the usual spreadsheet format. The rows are cached and only
+ * refreshed periodically.
+ * @param {String} url The URL of the JSON endpoint
+ * @param {String} key The key the rows are cached under
+ * @param {Number} refreshInterval How long the cached rows are used, in milliseconds
+ * @param {Object} env the decisioning environment
+ * @returns {Promise<Object[]>} the rows, with their keys in kebab case
+ */
+async function fetchSpreadsheet(url, key, refreshInterval, env) {
+  let cached = null;
+  try {
+    cached = JSON.parse(env.cache.getItem(key));
+  } catch (err) {
+    // ignore invalid or inaccessible cache
+  }
+  let entries = cached?.entries;
+  if (!cached || env.now() - cached.timestamp >= refreshInterval) {
+    try {
+      const response = await env.fetch(new URL(url, env.url.origin));
+      if (!response.ok) {
+        throw new Error(`${response.status} ${response.statusText}`);
+      }
+      const json = await response.json();
+      entries = (json.data || [])
+        .map((entry) => Object.keys(entry).reduce((res, k) => {
+          res[toClassName(k)] = entry[k];
+          return res;
+        }, {}));
+      try {
+        env.cache.setItem(key, JSON.stringify({ timestamp: env.now(), entries }));
+      } catch (err) {
+        env.debug('Cannot cache spreadsheet', url, err);
+      }
+    } catch (err) {
+      // eslint-disable-next-line no-console
+      console.warn('Cannot fetch spreadsheet: ', url, err);
+    }
+  }
+  return entries || [];
+}
+
+const RULE_OPERATORS = {
+  '=': 'EQUALS',
+  '!=': 'NOT_EQUALS',
+  '>': 'GREATER_THAN',
+  '>=': 'GREATER_THAN_OR_EQUALS',
+  '<': 'LESS_THAN',
+  '<=': 'LESS_THAN_OR_EQUALS',
+  contains: 'CONTAINS',
+  'starts-with': 'STARTS_WITH',
+  matches: 'MATCHES',
+  in: 'IN',
+};
+
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+/**
+ * The visitor attributes declarative audience rules can test, by type.
+ * Each getter receives the attribute name (i.e. `source` in `utm:source`), the visitor details
+ * and the decisioning environment.
+ */
+const RULE_ATTRIBUTES = {
+  query: (name, visitor, env) => env.url.searchParams.get(name),
+  utm: (name, visitor, env) => env.url.searchParams.get(`utm_${name}`),
+  referrer: (name, visitor) => visitor.referrer,
+  cookie: (name, visitor) => visitor.cookies?.[name],
+  storage: (name, visitor) => visitor.getStoredItem?.(name),
+  width: (name, visitor) => visitor.width,
+  language: (name, visitor) => visitor.language,
+  hour: (name, visitor, env) => new Date(env.now()).getHours(),
+  day: (name, visitor, env) => DAYS[new Date(env.now()).getDay()],
+  visits: (name, visitor) => visitor.visits,
+};
+
+/**
+ * Parses a declarative audience rule, i.e. `utm:source = newsletter AND NOT cookie:returning`.
+ * Rules combine comparisons between a visitor attribute and a value with `AND`, `OR`, `NOT` and
+ * parentheses. An attribute without an operator checks that it is set.
+ * @param {String} rule The rule
+ * @returns {Object} the condition, with the same `and`, `or`, `not` and `attribute` nodes as
+ * the decision policy conditions
+ * @throws {Error} if the rule is invalid
+ */
+export function parseAudienceRule(rule) {
+  const tokens = String(rule).match(/"[^"]*"|'[^']*'|[(),]|[!<>]?=|[<>]|[^\s(),"'=!<>]+/g) || [];
+  let i = 0;
+  const peek = () => tokens[i]?.toLowerCase();
+  const expect = (token) => {
+    if (peek() !== token) {
+      throw new Error(`Expected "${token}", but got "${tokens[i] || 'the end of the rule'}"`);
+    }
+    i += 1;
+  };
+  const readValue = () => {
+    const token = tokens[i];
+    if (!token || /^[(),!<>=]/.test(token)) {
+      throw new Error(`Expected a value, but got "${token || 'the end of the rule'}"`);
+    }
+    i += 1;
+    return /^["']/.test(token) ? token.slice(1, -1) : token;
+  };
+  const readComparison = () => {
+    const attribute = readValue();
+    if (!RULE_ATTRIBUTES[attribute.split(':')[0].toLowerCase()]) {
+      throw new Error(`Unknown attribute "${attribute}"`);
+    }
+    const operator = RULE_OPERATORS[peek()];
+    if (!operator) {
+      return { attribute, operator: 'EXISTS' };
+    }
+    i += 1;
+    if (operator === 'MATCHES') {
+      const value = readValue();
+      try {
+        // compiled once, so invalid patterns are reported with the rest of the rule errors
+        return {
+          attribute, operator, value, pattern: new RegExp(value, 'i'),
+        };
+      } catch (err) {
+        throw new Error(`Invalid pattern "${value}": ${err.message}`);
+      }
+    }
+    if (operator !== 'IN') {
+      return { attribute, operator, value: readValue() };
+    }
+    const hasParentheses = peek() === '(';
+    if (hasParentheses) {
+      i += 1;
+    }
+    const value = [readValue()];
+    while (peek() === ',') {
+      i += 1;
+      value.push(readValue());
+    }
+    if (hasParentheses) {
+      expect(')');
+    }
+    return { attribute, operator, value };
+  };
+  // level 0 parses the `OR` combinations, level 1 the `AND` ones, and level 2 the operands
+  const parse = (level) => {
+    if (level < 2) {
+      const combinator = level ? 'and' : 'or';
+      const conditions = [parse(level + 1)];
+      while (peek() === combinator) {
+        i += 1;
+        conditions.push(parse(level + 1));
+      }
+      return conditions.length > 1 ? { [combinator]: conditions } : conditions[0];
+    }
+    if (peek() === 'not') {
+      i += 1;
+      return { not: parse(2) };
+    }
+    if (peek() === '(') {
+      i += 1;
+      const condition = parse(0);
+      expect(')');
+      return condition;
+    }
+    return readComparison();
+  };
+  const condition = parse(0);
+  if (i < tokens.length) {
+    throw new Error(`Unexpected "${tokens[i]}"`);
+  }
+  return condition;
+}
+
+/**
+ * Evaluates a declarative audience rule for the current visitor.
+ * String comparisons are case-insensitive, and numeric comparisons fail on non-numeric values.
+ * @param {Object} condition The parsed rule
+ * @param {Object} visitor The visitor details, as returned by the environment `getVisitor` method
+ * @param {Object} env the decisioning environment
+ * @returns {Boolean} `true` if the visitor matches the rule
+ */
+export function evaluateAudienceRule(condition, visitor, env) {
+  if (condition.and) {
+    return condition.and.every((c) => evaluateAudienceRule(c, visitor, env));
+  }
+  if (condition.or) {
+    return condition.or.some((c) => evaluateAudienceRule(c, visitor, env));
+  }
+  if (condition.not) {
+    return !evaluateAudienceRule(condition.not, visitor, env);
+  }
+  const [type, ...name] = condition.attribute.split(':');
+  const getAttribute = RULE_ATTRIBUTES[type.toLowerCase()];
+  const value = getAttribute ? getAttribute(name.join(':'), visitor, env) : null;
+  if (value === undefined || value === null || value === '') {
+    return condition.operator === 'NOT_EQUALS';
+  }
+  const text = String(value).toLowerCase();
+  const expected = [].concat(condition.value).map((v) => String(v).toLowerCase());
+  switch (condition.operator) {
+    case 'EXISTS':
+      return true;
+    case 'EQUALS':
+      return text === expected[0];
+    case 'NOT_EQUALS':
+      return text !== expected[0];
+    case 'IN':
+      return expected.includes(text);
+    case 'CONTAINS':
+      return text.includes(expected[0]);
+    case 'STARTS_WITH':
+      return text.startsWith(expected[0]);
+    case 'MATCHES':
+      return (condition.pattern || new RegExp(condition.value, 'i')).test(String(value));
+    case 'GREATER_THAN':
+      return Number(value) > Number(condition.value);
+    case 'GREATER_THAN_OR_EQUALS':
+      return Number(value) >= Number(condition.value);
+    case 'LESS_THAN':
+      return Number(value) < Number(condition.value);
+    case 'LESS_THAN_OR_EQUALS':
+      return Number(value) <= Number(condition.value);
+    default:
+      return false;
+  }
+}
+
+/**
+ * Gets the declarative audiences defined in the audiences config file.
+ * The config is a JSON endpoint in the usual spreadsheet format, with an `Audience` and a `Rule`
+ * column. Invalid rules are skipped.
+ * @param {Object} options the plugin options
+ * @param {Object} env the decisioning environment
+ * @returns {Promise<Object>} the functions resolving the audiences, by audience name
+ */
+export async function getDeclarativeAudiences(options, env) {
+  if (!options.audiencesConfigFile) {
+    return {};
+  }
+  const url = options.audiencesConfigFile;
+  const entries = await fetchSpreadsheet(
+    url,
+    `aem-experimentation-audiences:${url}`,
+    options.audiencesConfigRefreshInterval,
+    env,
+  );
+  let visitor;
+  return Object.fromEntries(entries
+    .filter((entry) => entry.audience && entry.rule)
+    .map((entry) => {
+      let condition;
+      try {
+        condition = typeof entry.rule === 'object' ? entry.rule : parseAudienceRule(entry.rule);
+      } catch (err) {
+        // eslint-disable-next-line no-console
+        console.warn('Invalid audience rule: ', entry.audience, err.message);
+        return null;
+      }
+      return [toClassName(entry.audience), () => {
+        visitor = visitor || env.getVisitor?.() || {};
+        return evaluateAudienceRule(condition, visitor, env);
+      }];
+    })
+    .filter(Boolean));
+}
+
+// the audiences available for each page view, by decisioning environment
+const audiencesDefinitionsMemo = new WeakMap();
+
+/**
+ * Gets all the audiences of the project: the declarative audiences from the audiences config
+ * file, and the ones defined in code via the `audiences` option, that take precedence.
+ * @param {Object} options the plugin options
+ * @param {Object} env the decisioning environment
+ * @returns {Promise<Object>} the functions resolving the audiences, by audience name
+ */
+export async function getAudiences(options, env) {
+  if (!options.audiencesConfigFile) {
+    return options.audiences;
+  }
+  if (!audiencesDefinitionsMemo.has(env)) {
+    audiencesDefinitionsMemo.set(env, getDeclarativeAudiences(options, env)
+      .then((audiences) => ({ ...audiences, ...options.audiences })));
+  }
+  return audiencesDefinitionsMemo.get(env);
+}
+
+// the audiences resolved for each page view, by decisioning environment
+const audiencesMemo = new WeakMap();
+
+/**
+ * Gets the audiences resolved in a previous page view, if they are persisted and still fresh.
+ * @param {Object} options the plugin options
+ * @param {Object} env the decisioning environment
+ * @returns {Object} the persisted results, by audience name
+ */
+function getPersistedAudiences(options, env) {
+  if (options.audiencesStorageTtl === null || options.audiencesStorageTtl === undefined) {
+    return {};
+  }
+  try {
+    const persisted = JSON.parse(env.storage.getItem(options.audiencesStorageKey)) || {};
+    const ttl = Number(options.audiencesStorageTtl) * 60 * 1000;
+    return Object.fromEntries(Object.entries(persisted)
+      .filter(([, { timestamp }]) => !ttl || env.now() - timestamp < ttl));
+  } catch (err) {
+    return {};
+  }
+}
+
+/**
+ * Persists the result of an audience, so the next page views can reuse it.
+ * @param {String} key the audience name
+ * @param {Boolean} isResolved whether the visitor is in the audience
+ * @param {Object} options the plugin options
+ * @param {Object} env the decisioning environment
+ */
+function persistAudience(key, isResolved, options, env) {
+  if (options.audiencesStorageTtl === null || options.audiencesStorageTtl === undefined) {
+    return;
+  }
+  try {
+    const persisted = JSON.parse(env.storage.getItem(options.audiencesStorageKey)) || {};
+    persisted[key] = { isResolved, timestamp: env.now() };
+    env.storage.setItem(options.audiencesStorageKey, JSON.stringify(persisted));
+  } catch (err) {
+    env.debug('Cannot persist the audience', key, err);
+  }
+}
+
+/**
+ * Resolves a single audience, at most once per page view.
+ * The audience is read from the storage if it was persisted in a previous page view, and
+ * is considered as not resolved if its function fails or takes longer than the timeout.
+ * @param {String} key the audience name
+ * @param {Function} audience the function resolving the audience
+ * @param {Object} options the plugin options
+ * @param {Object} env the decisioning environment
+ * @returns {Promise<Object>} the resolution, with `isResolved` and its `source`, either
+ * `function`, `storage`, `timeout` or `error`
+ */
+function resolveAudience(key, audience, options, env) {
+  if (!audiencesMemo.has(env)) {
+    audiencesMemo.set(env, new Map());
+  }
+  const memo = audiencesMemo.get(env);
+  if (memo.has(key)) {
+    return memo.get(key);
+  }
+
+  const resolve = async () => {
+    const persisted = getPersistedAudiences(options, env)[key];
+    if (persisted) {
+      return { isResolved: persisted.isResolved, source: 'storage' };
+    }
+    let timer;
+    const timeout = new Promise((res) => {
+      if (options.audiencesTimeout) {
+        timer = setTimeout(() => res({ isResolved: false, source: 'timeout' }), options.audiencesTimeout);
+      }
+    });
+    try {
+      const result = await Promise.race([
+        Promise.resolve(audience())
+          .then((value) => ({ isResolved: Boolean(value), source: 'function' })),
+        timeout,
+      ]);
+      if (result.source === 'timeout') {
+        env.debug(`The "${key}" audience timed out after ${options.audiencesTimeout}ms`);
+      } else {
+        persistAudience(key, result.isResolved, options, env);
+      }
+      return result;
+    } catch (err) {
+      env.debug(`The "${key}" audience failed to resolve`, err);
+      return { isResolved: false, source: 'error' };
+    } finally {
+      clearTimeout(timer);
+    }
+  };
+  const promise = resolve();
+  memo.set(key, promise);
+  return promise;
+}
+
+/**
+ * Checks if any of the configured audiences on the page can be resolved.
+ * Each audience is resolved once per page view, and shared by the audiences, campaigns and
+ * experiments running on the page.
+ * @param {String[]} pageAudiences a list of configured audiences for the page
+ * @param {Object} options the plugin options
+ * @param {Object} env the decisioning environment
+ * @returns Returns the names of the resolved audiences, or `null` if no audience is configured
+ */
+export async function getResolvedAudiences(pageAudiences, options, env) {
+  if (!pageAudiences.length) {
+    return null;
+  }
+  const audiences = await getAudiences(options, env);
+  if (!Object.keys(audiences).length) {
+    return null;
+  }
+  // If we have a forced audience set in the query parameters (typically for simulation purposes)
+  // we check if it is applicable
+  const usp = env.url.searchParams;
+  const forcedAudience = usp.has(options.audiencesQueryParameter)
+    ? toClassName(usp.get(options.audiencesQueryParameter))
+    : null;
+  if (forcedAudience) {
+    return pageAudiences.includes(forcedAudience) ? [forcedAudience] : [];
+  }
+
+  // Otherwise, return the list of audiences that are resolved on the page
+  const results = await Promise.all(
+    pageAudiences
+      .map((key) => {
+        if (audiences[key] && typeof audiences[key] === 'function') {
+          return resolveAudience(key, audiences[key], options, env)
+            .then((result) => result.isResolved);
+        }
+        return false;
+      }),
+  );
+  return pageAudiences.filter((_, i) => results[i]);
+}
+
+/**
+ * Gets how the audiences were resolved in the current page view.
+ * @param {String[]} pageAudiences a list of configured audiences for the page
+ * @param {Object} env the decisioning environment
+ * @returns {Promise<Object>} the names of the audiences that were read from the storage
+ * (`cached`) and of the ones that timed out (`timedOut`)
+ */
+export async function getAudiencesResolution(pageAudiences, env) {
+  const memo = audiencesMemo.get(env) || new Map();
+  const results = await Promise.all(pageAudiences
+    .map(async (key) => [key, memo.has(key) ? (await memo.get(key)).source : null]));
+  return {
+    cached: results.filter(([, source]) => source === 'storage').map(([key]) => key),
+    timedOut: results.filter(([, source]) => source === 'timeout').map(([key]) => key),
+  };
+}
+
+/**
+ * Creates a storage that persists values in first-party cookies,
+ * so they can also be read by the CDN and the server.
+ * @param {Object} options the cookie options
+ * @param {Function} options.read returns the current cookie string (i.e. `a=1; b=2`)
+ * @param {Function} options.write writes a single `Set-Cookie` formatted cookie
+ * @param {Number} options.ttl The cookies' time to live, in days
+ * @param {Boolean} options.secure Whether the cookies should only be sent over HTTPS
+ * @returns {Object} a storage with the `getItem`/`setItem`/`removeItem` methods
+ */
+export function createCookieStorage({
+  read, write, ttl, secure,
+}) {
+  const attributes = `; path=/; SameSite=Lax${secure ? '; Secure' : ''}`;
+  return {
+    getItem: (key) => {
+      const cookie = (read() || '').split(';')
+        .map((c) => c.trim())
+        .find((c) => c.startsWith(`${key}=`));
+      return cookie ? decodeURIComponent(cookie.substring(key.length + 1)) : null;
+    },
+    setItem: (key, value) => {
+      write(`${key}=${encodeURIComponent(value)}; max-age=${ttl * 86400}${attributes}`);
+    },
+    removeItem: (key) => {
+      write(`${key}=; max-age=0${attributes}`);
+    },
+  };
+}
+
+/**
+ * Gets the random number generator for the plugin options.
+ * @param {Object} options the plugin options
+ * @returns {Function} a seeded generator if the `randomSeed` option is set, or `Math.random`
+ */
+export function createRandom(options) {
+  return options.randomSeed !== null && options.randomSeed !== undefined
+    ? ued.createSeededRandom(options.randomSeed)
+    : Math.random;
+}
+
+/**
+ * Gets the clock for the plugin options.
+ * @param {Object} options the plugin options
+ * @returns {Function} a method returning the current timestamp, in milliseconds, based on the
+ * `clock` option (that can return either a timestamp or a date) if set, or `Date.now`
+ */
+export function createClock(options) {
+  return typeof options.clock === 'function'
+    ? () => new Date(options.clock()).getTime()
+    : () => Date.now();
+}
+
+/**
+ * Creates a storage that keeps the values in memory only.
+ * @param {Object} [initialValues] the initial values
+ * @returns {Object} a storage with the `getItem`/`setItem`/`removeItem` methods
+ */
+export function createMemoryStorage(initialValues = {}) {
+  const values = new Map(Object.entries(initialValues));
+  return {
+    getItem: (key) => (values.has(key) ? values.get(key) : null),
+    setItem: (key, value) => { values.set(key, String(value)); },
+    removeItem: (key) => { values.delete(key); },
+  };
+}
+
+/**
+ * Gets the environment-related part of the context for the decision engine.
+ * @param {Object} options the plugin options
+ * @param {Object} env the decisioning environment
+ * @returns {Object} the decision context
+ */
+function getEnvironmentContext(options, env) {
+  return {
+    now: env.now,
+    random: env.random,
+    storage: env.storage,
+    storageTtl: Number(options.storageTtl),
+    storageKeys: {
+      experiments: options.experimentsStorageKey,
+      buckets: options.bucketsStorageKey,
+      offers: options.offersStorageKey,
+      campaigns: options.campaignsStorageKey,
+    },
+  };
+}
+
+/**
+ * Gets the decisioning engine context for the exposure ledgers of the campaigns and offers,
+ * which are kept in a storage that outlives the session so the frequency caps span several days.
+ * The visitors' bandit assignments are kept there too.
+ * @param {Object} options the plugin options
+ * @param {Object} env the decisioning environment
+ * @returns {Object} the context
+ */
+function getExposureContext(options, env) {
+  return {
+    ...getEnvironmentContext(options, env),
+    storage: env.persistentStorage || env.storage,
+  };
+}
+
+/**
+ * Generates a random first-party identifier.
+ * @returns {String} the identifier
+ */
+function generateId(random) {
+  if (random) {
+    return 'xxxxxxxx-xxxx-4xxx-xxxx-xxxxxxxxxxxx'.replace(/x/g, () => Math.floor(random() * 16).toString(16));
+  }
+  if (globalThis.crypto?.randomUUID) {
+    return globalThis.crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).substring(2)}`;
+}
+
+/**
+ * Creates the method resolving the identity map used for visitor-level randomization.
+ * The project can provide its own `identityResolver` (i.e. to use an ECID or a login hash),
+ * otherwise we generate a first-party ID that is persisted in the given storage.
+ * @param {Object} options the plugin options
+ * @param {Object} storage the storage used to persist the generated ID
+ * @param {Function} [log] an optional debug logger
+ * @returns {Function} an async method that returns the identity map, or an empty object
+ * if the visitor cannot be identified. The result is memoized.
+ */
+export function createIdentityProvider(options, storage, log = () => {}) {
+  let identityMapPromise;
+  return () => {
+    if (identityMapPromise) {
+      return identityMapPromise;
+    }
+    identityMapPromise = (async () => {
+      if (typeof options.identityResolver === 'function') {
+        try {
+          const identity = await options.identityResolver();
+          if (typeof identity === 'string' && identity) {
+            return { [options.identityNamespace]: [{ id: identity }] };
+          }
+          if (identity && typeof identity === 'object') {
+            return identity;
+          }
+        } catch (err) {
+          // eslint-disable-next-line no-console
+          console.warn('Cannot resolve the visitor identity', err);
+        }
+      }
+      try {
+        let id = storage.getItem(options.identityStorageKey);
+        if (!id) {
+          // seeded runs also get a reproducible visitor ID
+          id = generateId(options.randomSeed !== null && options.randomSeed !== undefined
+            ? createRandom({ randomSeed: `${options.randomSeed}.identity` })
+            : null);
+          storage.setItem(options.identityStorageKey, id);
+        }
+        return { [options.identityNamespace]: [{ id }] };
+      } catch (err) {
+        log('Cannot persist the visitor identity, falling back to device-level randomization', err);
+      }
+      return {};
+    })();
+    return identityMapPromise;
+  };
+}
+
+/**
+ * Checks whether the visitor is in the global holdout group, in which case
+ * they never get any challenger variant, campaign or audience-specific content.
+ * @param {Object} pluginOptions the plugin options
+ * @param {Object} env the decisioning environment
+ * @returns {Object} the holdout details, or `null` if there is no holdout group
+ */
+export async function getHoldout(pluginOptions, env) {
+  const percentage = Number(pluginOptions.holdoutPercentage) || 0;
+  if (percentage <= 0) {
+    return null;
+  }
+  const randomizationUnit = toClassName(pluginOptions.experimentsRandomizationUnit) === 'visitor'
+    ? 'VISITOR'
+    : 'DEVICE';
+  const holdout = ued.evaluateHoldout({
+    id: pluginOptions.holdoutId,
+    identityNamespace: pluginOptions.identityNamespace,
+    percentage,
+    randomizationUnit,
+  }, {
+    ...getEnvironmentContext(pluginOptions, env),
+    ...(randomizationUnit === 'VISITOR' ? { identityMap: await env.getIdentityMap() } : {}),
+  });
+  return { ...holdout, percentage };
+}
+
+const BANDIT_ALGORITHMS = ['thompson-sampling', 'epsilon-greedy'];
+
+/**
+ * Fetches the per-variant conversion statistics used to adjust bandit allocations.
+ * The statistics are cached and only refreshed periodically.
+ * @param {String} url The URL of the statistics JSON
+ * @param {Object} options the plugin options
+ * @param {Object} env the decisioning environment
+ * @returns a map of variant names to their `impressions` and `conversions` counts
+ */
+async function getBanditStats(url, options, env) {
+  const key = `aem-experimentation-bandit:${url}`;
+  let cached = null;
+  try {
+    cached = JSON.parse(env.cache.getItem(key));
+  } catch (err) {
+    // ignore invalid or inaccessible cache
+  }
+  if (cached && env.now() - cached.timestamp < options.experimentsBanditRefreshInterval) {
+    return cached.stats;
+  }
+  try {
+    const response = await env.fetch(new URL(url, env.url.origin));
+    if (!response.ok) {
+      throw new Error(`${response.status} ${response.statusText}`);
+    }
+    const json = await response.json();
+    const stats = (json.data || [])
+      .map((entry) => Object.keys(entry).reduce((res, k) => {
+        res[k.toLowerCase()] = entry[k];
+        return res;
+      }, {}))
+      .reduce((res, entry) => {
+        res[toClassName(entry.variant)] = {
+          impressions: Number(entry.impressions) || 0,
+          conversions: Number(entry.conversions) || 0,
+        };
+        return res;
+      }, {});
+    try {
+      env.cache.setItem(key, JSON.stringify({ timestamp: env.now(), stats }));
+    } catch (err) {
+      env.debug('Cannot cache bandit statistics', err);
+    }
+    return stats;
+  } catch (err) {
+    // eslint-disable-next-line no-console
+    console.warn('Cannot fetch bandit statistics: ', url, err);
+  }
+  return cached?.stats || {};
+}
+
+/**
+ * Checks if a path matches a pattern. Patterns starting with `^` are regular expressions,
+ * the other ones are globs, where `*` matches any character but `/`, and `**` any character.
+ * @param {String} pattern The path pattern, like `/products/*` or `^/products/[a-z]+$`
+ * @param {String} path The path to check
+ * @returns {Boolean} `true` if the path matches the pattern
+ */
+export function matchesPathPattern(pattern, path) {
+  try {
+    const regex = pattern.startsWith('^')
+      ? new RegExp(pattern)
+      : new RegExp(`^${pattern
+        .split('**')
+        .map((part) => part
+          .split('*')
+          .map((p) => p.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+          .join('[^/]*'))
+        .join('.*')}$`);
+    return regex.test(path);
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Gets all the entries of the site-wide experiments index.
+ * @param {Object} pluginOptions the plugin options
+ * @param {Object} env the decisioning environment
+ * @returns {Promise<Object[]>} the entries, with their keys in kebab case
+ */
+async function getExperimentsIndex(pluginOptions, env) {
+  if (!pluginOptions.experimentsIndexFile) {
+    return [];
+  }
+  const url = `${pluginOptions.experimentsRoot}/${pluginOptions.experimentsIndexFile}`;
+  return fetchSpreadsheet(
+    url,
+    `aem-experimentation-index:${url}`,
+    pluginOptions.experimentsIndexRefreshInterval,
+    env,
+  );
+}
+
+/**
+ * Gets the entries of the site-wide experiments index that target the current page.
+ * The index is a JSON endpoint in the usual spreadsheet format, with a `Pages` column listing
+ * the path patterns, and the same columns as the experiment metadata. The index is cached and
+ * only refreshed periodically.
+ * @param {Object} pluginOptions the plugin options
+ * @param {Object} env the decisioning environment
+ * @returns {Promise<Object[]>} the matching entries, with their keys in kebab case
+ */
+export async function getExperimentsIndexEntries(pluginOptions, env) {
+  const entries = await getExperimentsIndex(pluginOptions, env);
+  return entries
+    .filter((entry) => stringToArray(entry.pages || entry.page)
+      .some((pattern) => matchesPathPattern(pattern.trim(), env.url.pathname)));
+}
+
+/**
+ * Parses a ramp-up schedule, like `day 1: 5%, day 3: 25%, day 7: 100%`.
+ * Days are relative to the experiment start date, but absolute dates are also supported,
+ * like `2024-05-01: 5%, 2024-05-03: 25%`.
+ * @param {String} value The ramp-up schedule
+ * @param {Date} startDate The experiment start date
+ * @param {Object[]} errors The list the invalid stages are reported to
+ * @returns {Object[]} the list of valid ramp stages with their `startDate` and `percentage`
+ */
+function parseRampSchedule(value, startDate, errors) {
+  return stringToArray(value)
+    .map((entry) => {
+      const separator = Math.max(entry.lastIndexOf(':'), entry.lastIndexOf('='));
+      const when = entry.substring(0, separator).trim();
+      const percentage = parseFloat(entry.substring(separator + 1));
+      const [, day] = when.match(/^day\s*(\d+)$/i) || [];
+      let date = null;
+      if (day && startDate) {
+        date = new Date(startDate.getTime() + (Number(day) - 1) * 86400000);
+      } else if (!day) {
+        date = new Date(when);
+      }
+      if (separator < 0 || !date || Number.isNaN(date.getTime()) || Number.isNaN(percentage)) {
+        errors.push({
+          code: 'INVALID_RAMP_STAGE',
+          path: '$.ramp',
+          message: day && !startDate
+            ? `The "${entry.trim()}" ramp-up stage is relative to a start date, but the experiment has none`
+            : `The "${entry.trim()}" ramp-up stage is invalid`,
+        });
+        return null;
+      }
+      return { startDate: date.toISOString(), percentage: Math.min(Math.max(percentage, 0), 100) };
+    })
+    .filter((stage) => stage);
+}
+
+/**
+ * Calculates percentage split for variants where the percentage split is not
+ * explicitly configured.
+ * Substracts from 100 the explicitly configured percentage splits,
+ * and divides the remaining percentage, among the variants without explicit
+ * percentage split configured
+ * @param {Array} variant objects
+ */
+function inferEmptyPercentageSplits(variants) {
+  const variantsWithoutPercentage = [];
+
+  const remainingPercentage = variants.reduce((result, variant) => {
+    if (!variant.percentageSplit) {
+      variantsWithoutPercentage.push(variant);
+    }
+    const newResult = result - parseFloat(variant.percentageSplit || 0);
+    return newResult;
+  }, 1);
+  if (variantsWithoutPercentage.length) {
+    const missingPercentage = remainingPercentage / variantsWithoutPercentage.length;
+    variantsWithoutPercentage.forEach((v) => {
+      v.percentageSplit = missingPercentage.toFixed(2);
+    });
+  }
+}
+
+/**
+ * Converts the experiment config to a decision policy.
+ * If the experiment is restricted to some audiences, the experiment node is guarded by
+ * a targeting node that routes the other visitors to the control experience.
+ * @param {Object} config The experiment config
+ * @returns a decision policy for the experiment config
+ */
+export function toDecisionPolicy(config) {
+  const experimentNode = {
+    id: 'n1',
+    type: 'EXPERIMENTATION',
+    experiment: {
+      id: config.id,
+      identityNamespace: config.identityNamespace,
+      randomizationUnit: config.randomizationUnit.toUpperCase(),
+      trafficAllocation: config.trafficAllocation,
+      ...(config.rampSchedule.length ? { rampSchedule: config.rampSchedule } : {}),
+      ...(config.layer ? { layer: config.layer } : {}),
+      ...(config.bandit ? {
+        bandit: {
+          algorithm: config.bandit.algorithm.toUpperCase().replace(/-/g, '_'),
+          epsilon: config.bandit.epsilon,
+        },
+      } : {}),
+      // the winner replaces all treatments, so visitors assigned to another variant get it too
+      treatments: config.winner
+        ? [{ id: config.winner, allocationPercentage: 100 }]
+        : Object.entries(config.variants).map(([key, props]) => ({
+          id: key,
+          allocationPercentage: Number(props.percentageSplit) * 100,
+          ...(config.bandit ? { stats: config.bandit.stats?.[key] } : {}),
+        })),
+    },
+  };
+  // resolved audiences are `null` if the project does not define any audience
+  if (!config.audiences.length || !config.resolvedAudiences) {
+    return {
+      id: 'content-experimentation-policy',
+      rootDecisionNodeId: experimentNode.id,
+      decisionNodes: [experimentNode],
+    };
+  }
+  experimentNode.id = 'n2';
+  return {
+    id: 'content-experimentation-policy',
+    rootDecisionNodeId: 'n1',
+    decisionNodes: [
+      {
+        id: 'n1',
+        type: 'TARGETING',
+        targeting: {
+          rules: [{ condition: { audiences: config.audiences }, next: experimentNode.id }],
+          defaultNext: 'n3',
+        },
+      },
+      experimentNode,
+      {
+        id: 'n3',
+        type: 'CONTENT',
+        content: { id: config.variantNames[0] },
+      },
+    ],
+  };
+}
+
+/**
+ * Records a check in a decision trace, so we can explain why an experience is served.
+ * @param {Object[]} trace the trace of the experiment, campaign or audience config
+ * @param {String} check the name of the check
+ * @param {String} outcome either `passed`, `failed` or `info`
+ * @param {String} detail a human-readable explanation
+ */
+function addTrace(trace, check, outcome, detail) {
+  trace.push({ check, outcome, detail });
+}
+
+/**
+ * Records the audiences that were restored from a previous page view or timed out in a trace.
+ * @param {Object[]} trace the trace of the experiment, campaign or audience config
+ * @param {Object} resolution the names of the `cached` and `timedOut` audiences
+ */
+function addAudiencesResolutionTrace(trace, { cached, timedOut }) {
+  if (cached.length) {
+    addTrace(trace, 'audience-cache', 'info', `The ${cached.map((a) => `"${a}"`).join(', ')} audience(s) are restored from a previous page view`);
+  }
+  if (timedOut.length) {
+    addTrace(trace, 'audience-timeout', 'info', `The ${timedOut.map((a) => `"${a}"`).join(', ')} audience(s) timed out, and are considered as not resolved`);
+  }
+}
+
+const ASSIGNMENT_SOURCE_DETAILS = {
+  IDENTITY: 'Assigned from the hash of the visitor identity',
+  RANDOM: 'Randomly assigned, and persisted for the next page views',
+  STORAGE: 'Restored from a previous assignment in the storage',
+};
+
+/**
+ * Assigns the visitor to one of the variants of a running experiment, unless they are in the
+ * holdout group or outside the experiment's traffic allocation.
+ * @param {Object} pluginOptions the plugin options
+ * @param {Object} config the experiment config
+ * @param {Object} overrides the overrides from the query parameters
+ * @param {Object} env the decisioning environment
+ * @returns {Object} the experiment config, with the selected variant
+ */
+async function assignVariant(pluginOptions, config, overrides, env) {
+  const {
+    audiences, audiencesResolution, bandit, layer, rampSchedule, randomizationUnit,
+    resolvedAudiences, trafficAllocation, variantNames,
+  } = config;
+
+  // holdout visitors always get the control, unless they simulate a variant
+  if (env.holdout?.isInHoldout && !Object.keys(overrides).length) {
+    config.run = false;
+    config.isHoldout = true;
+    addTrace(config.trace, 'holdout', 'failed', 'The visitor is in the global holdout group');
+    return config;
+  }
+
+  if (audiences.length && resolvedAudiences) {
+    addTrace(config.trace, 'audience', resolvedAudiences.length ? 'passed' : 'failed', resolvedAudiences.length
+      ? `The visitor is in the ${resolvedAudiences.map((a) => `"${a}"`).join(', ')} audience(s)`
+      : `The visitor is in none of the ${audiences.map((a) => `"${a}"`).join(', ')} audience(s)`);
+    addAudiencesResolutionTrace(config.trace, audiencesResolution);
+  }
+
+  let identityMap;
+  if (randomizationUnit === 'visitor') {
+    identityMap = await env.getIdentityMap();
+    const { identityNamespace } = config;
+    const fallbackIdentities = identityMap[pluginOptions.identityNamespace];
+    // the experiment might expect another namespace than the one the plugin resolves,
+    // i.e. `ECID` for AEP experiments
+    if (!identityMap[identityNamespace]?.length && fallbackIdentities?.length) {
+      identityMap = { ...identityMap, [identityNamespace]: fallbackIdentities };
+      addTrace(config.trace, 'identity', 'info', `No "${identityNamespace}" identity is available, so the "${pluginOptions.identityNamespace}" one is used instead`);
+    } else if (!identityMap[identityNamespace]?.length) {
+      addTrace(config.trace, 'identity', 'info', `No "${identityNamespace}" identity is available, so the variant is assigned per device`);
+    }
+  }
+
+  // The audience targeting is handled by the decision policy
+  const context = {
+    // bandit allocations evolve over time, so the sticky assignments of the visitors must
+    // outlive the session
+    ...(bandit && randomizationUnit === 'visitor'
+      ? getExposureContext(pluginOptions, env)
+      : getEnvironmentContext(pluginOptions, env)),
+    audiences: resolvedAudiences || [],
+    ...(identityMap ? { identityMap } : {}),
+  };
+  if (bandit) {
+    bandit.stats = await getBanditStats(bandit.statsUrl, pluginOptions, env);
+  }
+  let decision;
+  try {
+    decision = ued.evaluateDecisionPolicy(toDecisionPolicy(config), context);
+  } catch (err) {
+    // invalid experiments fall back to the control
+    config.run = false;
+    config.errors = err.errors || [{ code: 'EVALUATION_ERROR', path: '$', message: err.message }];
+    env.debug('invalid experiment', config.id, config.errors);
+    addTrace(config.trace, 'validation', 'failed', 'The experiment is invalid, so the control is served');
+    return config;
+  }
+  const [item] = decision.items;
+  if (!item) {
+    // the visitor is outside the experiment's traffic allocation
+    config.run = false;
+    config.isEnrolled = false;
+    addTrace(config.trace, 'traffic-allocation', 'failed', `The visitor is outside the ${trafficAllocation}% of the traffic${layer ? ` allocated in the "${layer.id}" layer` : ''}`);
+    return config;
+  }
+  if (!item.experimentId) {
+    config.run = false;
+    return config;
+  }
+  if (trafficAllocation < 100 || layer || rampSchedule.length) {
+    addTrace(config.trace, 'traffic-allocation', 'passed', 'The visitor is enrolled in the experiment');
+  }
+
+  const [, forcedVariant] = (Array.isArray(overrides.value)
+    ? overrides.value
+    : stringToArray(overrides.value))
+    .map((value) => value?.split('/'))
+    .find(([experiment]) => toClassName(experiment) === config.id) || [];
+  if (variantNames.includes(toClassName(forcedVariant))) {
+    config.selectedVariant = toClassName(forcedVariant);
+    addTrace(config.trace, 'assignment', 'info', `The "${config.selectedVariant}" variant is forced via the query parameters`);
+  } else if (overrides.variant && variantNames.includes(overrides.variant)) {
+    config.selectedVariant = toClassName(overrides.variant);
+    addTrace(config.trace, 'assignment', 'info', `The "${config.selectedVariant}" variant is forced via the query parameters`);
+  } else {
+    config.selectedVariant = item.id;
+    addTrace(config.trace, 'assignment', 'info', `${ASSIGNMENT_SOURCE_DETAILS[item.assignmentSource]}${bandit ? ` (${bandit.algorithm} bandit)` : ''}`);
+  }
+
+  return config;
+}
+
+/**
+ * Fetches the manifest of an experiment synchronized from Adobe Experience Platform (AEP), from
+ * the `<experimentsRoot>/<experiment-id>/<experimentsConfigFile>` file.
+ * @param {String} id the experiment ID
+ * @param {Object} pluginOptions the plugin options
+ * @param {Object} env the decisioning environment
+ * @returns {Promise<Object>} the manifest and its `url`, or `null` if there is no manifest
+ */
+async function fetchExperimentManifest(id, pluginOptions, env) {
+  const url = `${pluginOptions.experimentsRoot}/${id}/${pluginOptions.experimentsConfigFile}`;
+  try {
+    const response = await env.fetch(new URL(url, env.url.origin));
+    if (!response.ok) {
+      throw new Error(`${response.status} ${response.statusText}`);
+    }
+    return { url, manifest: await response.json() };
+  } catch (err) {
+    env.debug('cannot load experiment manifest', url, err);
+  }
+  return null;
+}
+
+/**
+ * Records the exposure of the visitor to a funnel experiment, so that it is only tracked once,
+ * on the first page of the funnel they visit.
+ * @param {Object} pluginOptions the plugin options
+ * @param {Object} config the experiment config
+ * @param {Object} env the decisioning environment
+ * @returns {Boolean} `true` if it is the first exposure of the visitor to the served variant
+ */
+function recordFunnelExposure(pluginOptions, config, env) {
+  try {
+    const exposures = JSON.parse(env.storage.getItem(pluginOptions.funnelsStorageKey)) || {};
+    if (exposures[config.id] === config.selectedVariant) {
+      return false;
+    }
+    exposures[config.id] = config.selectedVariant;
+    env.storage.setItem(pluginOptions.funnelsStorageKey, JSON.stringify(exposures));
+  } catch (err) {
+    env.debug('Cannot persist the funnel exposure', err);
+  }
+  return true;
+}
+
+/**
+ * Gets the range of the layer hash space an experiment enrolls visitors in.
+ * @param {Object} metadata the experiment metadata
+ * @returns {Number[]} the start and end of the range, in percents
+ */
+function getLayerRange(metadata) {
+  const offset = parseFloat(metadata['layer-offset']) || 0;
+  const trafficAllocation = metadata['traffic-allocation']
+    ? Math.min(Math.max(parseFloat(metadata['traffic-allocation']), 0), 100)
+    : 100;
+  return [offset, offset + trafficAllocation];
+}
+
+/**
+ * Finds the experiments whose ranges overlap in the layer of the given experiment.
+ * The known ranges only come from the site-wide experiments index and the page metadata, so that
+ * all visitors get the same result, regardless of the pages they saw before.
+ * @param {Object} pluginOptions the plugin options
+ * @param {String} id the experiment ID
+ * @param {Object} metadata the experiment metadata
+ * @param {Object} env the decisioning environment
+ * @returns {Promise<String[][]>} the pairs of overlapping experiment IDs
+ */
+async function getLayerOverlaps(pluginOptions, id, metadata, env) {
+  const layerId = toClassName(metadata.layer);
+  const tag = pluginOptions.experimentsMetaTag;
+  const pageMetadata = {
+    experiment: env.getMetadata(tag),
+    layer: env.getMetadata(`${tag}-layer`),
+    'layer-offset': env.getMetadata(`${tag}-layer-offset`),
+    'traffic-allocation': env.getMetadata(`${tag}-traffic-allocation`),
+  };
+  // the page metadata takes precedence over the index, and the experiment's own metadata over both
+  const ranges = Object.entries(Object.fromEntries([
+    ...await getExperimentsIndex(pluginOptions, env),
+    pageMetadata,
+    { ...metadata, experiment: id },
+  ]
+    .filter((entry) => entry.experiment && toClassName(entry.layer) === layerId)
+    .map((entry) => [toClassName(entry.experiment), getLayerRange(entry)])));
+  return ranges.flatMap(([a, [start, end]], i) => ranges.slice(i + 1)
+    .filter(([, [otherStart, otherEnd]]) => start < otherEnd && otherStart < end)
+    .map(([b]) => [a, b]));
+}
+
+/**
+ * Checks whether the code of a block experiment variant can be loaded. Names and paths are
+ * resolved on the site itself, and URLs must be on the same origin, or on one of the
+ * `blocksCodeHosts` over HTTPS.
+ * @param {Object} pluginOptions the plugin options
+ * @param {String} code the variant code
+ * @param {Object} env the decisioning environment
+ * @returns {Boolean} `true` if the code can be loaded
+ */
+function isAllowedBlockCode(pluginOptions, code, env) {
+  // protocol-relative URLs point to another host too
+  if (!/^([a-z][a-z\d+.-]*:|\/\/)/i.test(code)) {
+    return true;
+  }
+  try {
+    const url = new URL(code, env.url);
+    return url.origin === env.url.origin || (url.protocol === 'https:'
+      && [].concat(pluginOptions.blocksCodeHosts || [])
+        .some((pattern) => matchesPathPattern(pattern.trim().toLowerCase(), url.host)));
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Gets the experiment config for the given metadata, and selects the variant to serve.
+ * @param {Object} pluginOptions the plugin options
+ * @param {Object} metadata the experiment metadata
+ * @param {Object} overrides the overrides from the query parameters
+ * @param {Object} env the decisioning environment
+ * @returns {Object} the experiment config, or `null` if there is no experiment
+ */
+export async function getExperimentConfig(pluginOptions, metadata, overrides, env) {
+  const id = toClassName(metadata.value || metadata.experiment);
+  if (!id) {
+    return null;
+  }
+
+  let pages = metadata.variants || metadata.url;
+
+  // Backward compatibility
+  if (!pages) {
+    pages = env.getMetadata('instant-experiment');
+  }
+  if (metadata.audience) {
+    metadata.audiences = metadata.audience;
+  }
+
+  // block experiments swap the code of the given blocks, instead of the page content
+  const blocks = stringToArray(metadata.blocks).map(toClassName).filter(Boolean);
+  let codePaths = [];
+  const nbOfVariants = Number(pages);
+  if (blocks.length && Number.isNaN(nbOfVariants)) {
+    codePaths = stringToArray(pages).map((p) => p.trim());
+    pages = codePaths.map(() => env.url.pathname);
+  } else {
+    pages = Number.isNaN(nbOfVariants)
+      ? stringToArray(pages).map((p) => new URL(p.trim(), env.url).pathname)
+      : new Array(nbOfVariants).fill(env.url.pathname);
+  }
+  if (!pages.length) {
+    return null;
+  }
+
+  // funnel experiments map several control pages to their counterpart in each variant,
+  // listed in the same order, i.e. `/pricing-b, /signup-b` for `/pricing, /signup`
+  const funnel = blocks.length
+    ? []
+    : stringToArray(metadata.funnel).map((p) => new URL(p.trim(), env.url).pathname);
+  if (funnel.length && pages.length % funnel.length) {
+    env.debug('funnel experiment variants do not match its pages', id, funnel, pages);
+    return null;
+  }
+  const pageIndex = funnel.length ? funnel.indexOf(env.url.pathname) : 0;
+  pages = funnel.length
+    ? [...new Array(pages.length / funnel.length)]
+      .map((_, i) => pages.slice(i * funnel.length, (i + 1) * funnel.length))
+    : pages.map((page) => [page]);
+
+  const audiences = stringToArray(metadata.audiences).map(toClassName);
+
+  const splits = metadata.split
+    // custom split
+    ? stringToArray(metadata.split).map((i) => parseInt(i, 10) / 100)
+    // even split
+    : [...new Array(pages.length)].map(() => 1 / (pages.length + 1));
+
+  const variantNames = [];
+  variantNames.push('control');
+
+  const variants = {};
+  variants.control = {
+    percentageSplit: '',
+    pages: funnel.length ? funnel : [env.url.pathname],
+    blocks,
+    label: 'Control',
+  };
+
+  pages.forEach((variantPages, i) => {
+    const vname = `challenger-${i + 1}`;
+    variantNames.push(vname);
+    variants[vname] = {
+      percentageSplit: `${splits[i].toFixed(2)}`,
+      pages: variantPages,
+      blocks: codePaths[i] ? [codePaths[i]] : [],
+      label: `Challenger ${i + 1}`,
+    };
+  });
+  inferEmptyPercentageSplits(Object.values(variants));
+
+  const { url: manifestUrl, manifest } = (pluginOptions.experimentsUseConfigFile
+    && await fetchExperimentManifest(id, pluginOptions, env)) || {};
+  // the manifest treatments map to the variants in the same order, starting with the control
+  const treatments = manifest?.treatments || [];
+  if (treatments.length && treatments.length !== variantNames.length) {
+    env.debug('experiment manifest does not match the variants', id, treatments, variantNames);
+  }
+  treatments.slice(0, variantNames.length).forEach((treatment, i) => {
+    const variant = variants[variantNames[i]];
+    variant.percentageSplit = `${(Number(treatment.percentage) || 0) / 100}`;
+    variant.label = treatment.name || variant.label;
+  });
+  const winnerIndex = manifest?.winner && toClassName(manifest.winner.status) !== 'not-found'
+    ? treatments.findIndex((t) => `${t.id}` === `${manifest.winner.treatmentId}`)
+    : -1;
+  const winner = variantNames[winnerIndex] || null;
+
+  const resolvedAudiences = await getResolvedAudiences(
+    audiences,
+    pluginOptions,
+    env,
+  );
+  const audiencesResolution = await getAudiencesResolution(audiences, env);
+
+  const randomizationUnit = toClassName(
+    metadata['randomization-unit'] || pluginOptions.experimentsRandomizationUnit,
+  ) === 'visitor' ? 'visitor' : 'device';
+
+  const banditAlgorithm = toClassName(metadata.bandit);
+  const bandit = BANDIT_ALGORITHMS.includes(banditAlgorithm)
+    ? {
+      algorithm: banditAlgorithm,
+      epsilon: metadata['bandit-epsilon'] ? parseFloat(metadata['bandit-epsilon']) : undefined,
+      statsUrl: metadata['bandit-stats']
+        || `${pluginOptions.experimentsRoot}/${id}/${pluginOptions.experimentsBanditStatsFile}`,
+    }
+    : null;
+
+  const trafficAllocation = metadata['traffic-allocation']
+    ? Math.min(Math.max(parseFloat(metadata['traffic-allocation']), 0), 100)
+    : 100;
+  const layer = metadata.layer
+    ? { id: toClassName(metadata.layer), offset: parseFloat(metadata['layer-offset']) || 0 }
+    : null;
+
+  const rawStartDate = metadata['start-date'] || metadata.startDate;
+  const rawEndDate = metadata['end-date'] || metadata.endDate;
+  const startDate = rawStartDate ? new Date(rawStartDate) : null;
+  const endDate = rawEndDate ? new Date(rawEndDate) : null;
+  const rampErrors = [];
+  const rampSchedule = parseRampSchedule(metadata.ramp, startDate, rampErrors);
+
+  const config = {
+    id,
+    label: metadata.name || `Experiment ${metadata.value || metadata.experiment}`,
+    status: manifest?.state || metadata.status || 'active',
+    audiences,
+    audiencesResolution,
+    bandit,
+    endDate,
+    identityNamespace: manifest?.identityNamespace || pluginOptions.identityNamespace,
+    layer,
+    mode: toClassName(metadata.mode) === 'redirect' ? 'redirect' : 'replace',
+    pageIndex,
+    rampSchedule,
+    randomizationUnit,
+    resolvedAudiences,
+    startDate,
+    trafficAllocation,
+    variants,
+    variantNames,
+    trace: [],
+    ...(manifestUrl ? { manifest: manifestUrl } : {}),
+  };
+
+  // once a winner is declared, it is served to all visitors
+  if (winner) {
+    config.winner = winner;
+    config.bandit = null;
+    config.layer = null;
+    config.rampSchedule = [];
+    config.trafficAllocation = 100;
+    variantNames.forEach((name) => {
+      variants[name].percentageSplit = name === winner ? '1' : '0';
+    });
+    addTrace(config.trace, 'winner', 'info', `The "${winner}" variant won the experiment, so it is served to all visitors`);
+  }
+
+  const isActive = ['active', 'on', 'true', 'running', 'live'].includes(toClassName(config.status))
+    || !!winner;
+  // draft experiments can only be previewed
+  const isPreviewed = toClassName(config.status) === 'draft' && !!env.isPreview;
+  if (isActive || isPreviewed || overrides.experiment) {
+    let detail = `The experiment status is "${config.status}"`;
+    if (!isActive) {
+      detail += isPreviewed
+        ? ', and it is served on the preview environment only'
+        : ', but it is forced via the query parameters';
+    }
+    addTrace(config.trace, 'status', 'passed', detail);
+  } else {
+    addTrace(config.trace, 'status', 'failed', `The experiment status is "${config.status}"`);
+  }
+  // forced audience resolves if defined
+  const forcedAudience = overrides.audience ? toClassName(overrides.audience) : null;
+  const isForcedAudienceValid = !forcedAudience || audiences.includes(forcedAudience);
+  if (forcedAudience) {
+    addTrace(config.trace, 'forced-audience', isForcedAudienceValid ? 'passed' : 'failed', isForcedAudienceValid
+      ? `The "${forcedAudience}" audience is forced via the query parameters`
+      : `The forced "${forcedAudience}" audience is not targeted by the experiment`);
+  }
+  const isStarted = !startDate || startDate <= env.now();
+  const isNotEnded = !endDate || endDate > env.now();
+  if (!startDate && !endDate) {
+    addTrace(config.trace, 'schedule', 'passed', 'The experiment has no start or end date');
+  } else {
+    addTrace(config.trace, 'schedule', isStarted && isNotEnded ? 'passed' : 'failed', [
+      startDate ? `${isStarted ? 'Started' : 'Starts'} on ${startDate.toISOString()}` : '',
+      endDate ? `${isNotEnded ? 'ends' : 'ended'} on ${endDate.toISOString()}` : '',
+    ].filter(Boolean).join(', '));
+  }
+
+  if (funnel.length) {
+    addTrace(config.trace, 'funnel', pageIndex >= 0 ? 'passed' : 'failed', pageIndex >= 0
+      ? `The page is step ${pageIndex + 1}/${funnel.length} of the funnel`
+      : 'The page is not part of the funnel');
+  }
+
+  config.run = (
+    // experiment is active, previewed or forced
+    (isActive || isPreviewed || overrides.experiment)
+    && isForcedAudienceValid
+    && isStarted
+    && isNotEnded
+    && pageIndex >= 0
+  );
+
+  if (rampSchedule.length) {
+    config.rampStage = ued.getRampStage(rampSchedule, env.now());
+    addTrace(config.trace, 'ramp-up', 'info', `Stage ${config.rampStage.index}/${config.rampStage.total}, at ${config.rampStage.percentage}% of the traffic`);
+  }
+
+  // an invalid ramp-up stage would otherwise expose the experiment to more traffic than planned
+  const errors = winner ? [] : [...rampErrors];
+  // experiments in the same layer must not share any visitor
+  const overlaps = config.layer ? await getLayerOverlaps(pluginOptions, id, metadata, env) : [];
+  codePaths
+    .filter((code) => !isAllowedBlockCode(pluginOptions, code, env))
+    .forEach((code) => errors.push({
+      code: 'DISALLOWED_CODE_HOST',
+      path: '$.variants',
+      message: `The "${code}" block code is neither on the site, nor on one of the allowed code hosts`,
+    }));
+  if (overlaps.length) {
+    // a single overlap invalidates the whole layer, so none of its experiments is served
+    errors.push({
+      code: 'OVERLAPPING_LAYER_RANGE',
+      path: '$.layer',
+      message: `The ranges of the experiments in the "${config.layer.id}" layer overlap: ${overlaps.map(([a, b]) => `"${a}" and "${b}"`).join(', ')}`,
+    });
+  }
+  if (errors.length) {
+    config.run = false;
+    config.errors = errors;
+    env.debug('invalid experiment', config.id, config.errors);
+    addTrace(config.trace, 'validation', 'failed', 'The experiment is invalid, so the control is served');
+  }
+
+  if (!config.run) {
+    return config;
+  }
+
+  await assignVariant(pluginOptions, config, overrides, env);
+  // simulated variants are not recorded
+  if (funnel.length && config.selectedVariant && !Object.keys(overrides).length) {
+    config.isRepeatExposure = !recordFunnelExposure(pluginOptions, config, env);
+    if (config.isRepeatExposure) {
+      addTrace(config.trace, 'exposure', 'info', 'The visitor was already exposed to the experiment on another page of the funnel');
+    }
+  }
+  return config;
+}
+
+/**
+ * Gets the URL of the experience to serve for the experiment.
+ * @param {Object} config the experiment config
+ * @returns {String} the URL, or `null` if the experiment does not run
+ */
+export function getUrlFromExperimentConfig(config) {
+  return config.run
+    ? config.variants[config.selectedVariant].pages[config.pageIndex || 0]
+    : null;
+}
+
+const TARGET_ACTIVE_STATES = ['approved', 'activated', 'active', 'live'];
+
+/**
+ * Lists the DOM modifications of an experience in an Adobe Target VEC activity.
+ * @param {Object} activity the Target activity
+ * @param {Object} experience the Target experience
+ * @returns {Object[]} the modifications, each with a CSS `selector`, the `template` ID
+ * and the template `parameters`
+ */
+function getTargetModifications(activity, experience) {
+  const locations = activity.locations?.selectors || [];
+  const options = activity.options || [];
+  return (experience.optionLocations || [])
+    .flatMap(({ locationLocalId, optionLocalId }) => {
+      const location = locations.find((l) => l.locationLocalId === locationLocalId);
+      const option = options.find((o) => o.optionLocalId === optionLocalId);
+      return (option?.offerTemplates || []).map(({ offerTemplateId, templateParameters = [] }) => {
+        const parameters = Object.fromEntries(templateParameters
+          .map(({ name, value }) => [name, value]));
+        return {
+          selector: parameters.cssSelector || location?.selector,
+          template: offerTemplateId,
+          parameters,
+        };
+      });
+    })
+    .filter((modification) => modification.selector);
+}
+
+/**
+ * Gets the experiment config for an Adobe Target VEC activity, and selects the experience to
+ * serve. The experience without any modification is the control.
+ * Target audiences cannot be resolved outside of Target, so they are ignored.
+ * @param {Object} pluginOptions the plugin options
+ * @param {Object} activity the Target activity, as exported in the activity manifest
+ * @param {Object} overrides the overrides from the query parameters
+ * @param {Object} env the decisioning environment
+ * @returns {Object} the experiment config, or `null` if the activity has no experience
+ */
+export async function getTargetActivityConfig(pluginOptions, activity, overrides, env) {
+  const experiences = (activity?.experiences || []).map((experience) => ({
+    name: toClassName(experience.name) || `experience-${experience.experienceLocalId}`,
+    label: experience.name || `Experience ${experience.experienceLocalId}`,
+    percentageSplit: `${(Number(experience.visitorPercentage) || 0) / 100}`,
+    pages: [env.url.pathname],
+    blocks: [],
+    modifications: getTargetModifications(activity, experience),
+  }));
+  if (!experiences.length) {
+    return null;
+  }
+  const control = experiences.find((experience) => !experience.modifications.length);
+  if (control) {
+    experiences.splice(experiences.indexOf(control), 1);
+    experiences.unshift(control);
+  }
+
+  const randomizationUnit = toClassName(pluginOptions.experimentsRandomizationUnit) === 'visitor'
+    ? 'visitor'
+    : 'device';
+
+  const config = {
+    id: toClassName(activity.name) || `${activity.id}`,
+    label: activity.name || `Activity ${activity.id}`,
+    status: activity.state || 'active',
+    source: 'target',
+    audiences: [],
+    audiencesResolution: { cached: [], timedOut: [] },
+    bandit: null,
+    endDate: null,
+    identityNamespace: pluginOptions.identityNamespace,
+    layer: null,
+    metrics: (activity.metrics || []).map((metric) => ({
+      id: toClassName(metric.name) || `${metric.metricLocalId}`,
+      label: metric.name,
+      isConversion: !!metric.conversion,
+      selectors: (metric.clickTrackSelectors || []).map(({ selector }) => selector),
+    })),
+    rampSchedule: [],
+    randomizationUnit,
+    resolvedAudiences: null,
+    startDate: null,
+    trafficAllocation: 100,
+    variants: Object.fromEntries(experiences.map(({ name, ...variant }) => [name, variant])),
+    variantNames: experiences.map(({ name }) => name),
+    trace: [],
+  };
+
+  const isActive = TARGET_ACTIVE_STATES.includes(toClassName(config.status));
+  // inactive activities can still be previewed by forcing one of their experiences
+  const isForced = !!overrides.experiment || stringToArray(overrides.value)
+    .some((value) => toClassName(value?.split('/')[0]) === config.id);
+  if (isActive || isForced) {
+    addTrace(config.trace, 'status', 'passed', isActive
+      ? `The Target activity is "${config.status}"`
+      : `The Target activity is "${config.status}", but it is forced via the query parameters`);
+  } else {
+    addTrace(config.trace, 'status', 'failed', `The Target activity is "${config.status}"`);
+  }
+  config.run = isActive || isForced;
+  if (!config.run) {
+    return config;
+  }
+  return assignVariant(pluginOptions, config, overrides, env);
+}
+
+/**
+ * Gets the code paths of a block for the variant served in a block experiment. The variant code
+ * is either the name of an alternative implementation in the block folder (i.e. `cards-v2` for
+ * `/blocks/cards/cards-v2.js`), a path without extension (i.e. `/blocks/cards-v2/cards`),
+ * or the URL of another code version, like a branch (i.e. `https://v2--site--org.aem.page`),
+ * that was checked against the `blocksCodeHosts` when the experiment config was resolved.
+ * @param {Object} config the experiment config
+ * @param {String} blockName the block name
+ * @param {String} [codeBasePath] the base path of the project code
+ * @returns {Object} the `cssPath` and `jsPath` of the block, or `null` if the served variant
+ * does not change the block code
+ */
+export function getBlockCodePaths(config, blockName, codeBasePath = '') {
+  const [control] = config.variantNames;
+  if (!config.run || config.selectedVariant === control
+    || !config.variants[control].blocks?.includes(blockName)) {
+    return null;
+  }
+  const [code] = config.variants[config.selectedVariant]?.blocks || [];
+  if (!code) {
+    return null;
+  }
+  let basePath;
+  if (/^https?:\/\//.test(code)) {
+    const url = new URL(code);
+    basePath = url.pathname === '/'
+      ? `${url.origin}${codeBasePath}/blocks/${blockName}/${blockName}`
+      : `${url.origin}${url.pathname.replace(/\.(css|js)$/, '')}`;
+  } else if (code.startsWith('/')) {
+    basePath = `${codeBasePath}${code.replace(/\.(css|js)$/, '')}`;
+  } else {
+    basePath = `${codeBasePath}/blocks/${blockName}/${code}`;
+  }
+  return { cssPath: `${basePath}.css`, jsPath: `${basePath}.js` };
+}
+
+/**
+ * Parses a frequency cap, like `3 per 7 days`, `3/7d` or just `3` (over the storage TTL).
+ * @param {String} value the frequency cap
+ * @returns {Object} the cap, with the max number of `impressions` and the period in `days`,
+ * or `null` if the value is invalid
+ */
+function parseFrequencyCap(value) {
+  const [, impressions, days] = (value || '').trim()
+    .match(/^(\d+)(?:\s*(?:\/|per)\s*(\d+(?:\.\d+)?)\s*(?:d|days?)?)?$/i) || [];
+  if (!Number(impressions)) {
+    return null;
+  }
+  return {
+    impressions: Number(impressions),
+    ...(days ? { days: Number(days) } : {}),
+  };
+}
+
+const RESERVED_CAMPAIGN_KEYS = ['audience', 'audiences', 'frequency-cap', 'cooldown'];
+
+/**
+ * Gets the campaign config for the given metadata, and selects the campaign to serve.
+ * @param {Object} pluginOptions the plugin options
+ * @param {Object} metadata the campaign metadata
+ * @param {Object} overrides the overrides from the query parameters
+ * @param {Object} env the decisioning environment
+ * @returns {Object} the campaign config, or `null` if there is no campaign
+ */
+export async function getCampaignConfig(pluginOptions, metadata, overrides, env) {
+  if (!Object.keys(metadata).length) {
+    return null;
+  }
+
+  const trace = [];
+
+  // Check UTM parameters
+  let campaign = overrides.value;
+  if (!campaign) {
+    const usp = env.url.searchParams;
+    if (usp.has('utm_campaign')) {
+      campaign = toClassName(usp.get('utm_campaign'));
+      addTrace(trace, 'campaign', 'info', `The "${campaign}" campaign comes from the utm_campaign parameter`);
+    } else {
+      addTrace(trace, 'campaign', 'info', 'There is no utm_campaign parameter');
+    }
+  } else {
+    campaign = toClassName(campaign);
+    addTrace(trace, 'campaign', 'info', `The "${campaign}" campaign is forced via the query parameters`);
+  }
+
+  if (metadata.audience) {
+    metadata.audiences = metadata.audience;
+  }
+
+  const audiences = stringToArray(metadata.audiences).map(toClassName);
+  const resolvedAudiences = await getResolvedAudiences(
+    audiences,
+    pluginOptions,
+    env,
+  );
+  if (resolvedAudiences && !resolvedAudiences.length) {
+    return null;
+  }
+  const audiencesResolution = await getAudiencesResolution(audiences, env);
+  if (resolvedAudiences) {
+    addTrace(trace, 'audience', 'passed', `The visitor is in the ${resolvedAudiences.map((a) => `"${a}"`).join(', ')} audience(s)`);
+    addAudiencesResolutionTrace(trace, audiencesResolution);
+  }
+
+  const configuredCampaigns = Object.fromEntries(Object.entries(metadata)
+    .filter(([key]) => !RESERVED_CAMPAIGN_KEYS.includes(key)));
+
+  // holdout visitors always get the default content, unless they simulate a campaign
+  const isSimulated = Boolean(Object.keys(overrides).length);
+  const isHoldout = Boolean(env.holdout?.isInHoldout) && !isSimulated;
+  let selectedCampaign = !isHoldout && campaign && configuredCampaigns[campaign]
+    ? campaign
+    : null;
+  if (isHoldout) {
+    addTrace(trace, 'holdout', 'failed', 'The visitor is in the global holdout group');
+  } else if (campaign) {
+    addTrace(trace, 'configuration', selectedCampaign ? 'passed' : 'failed', selectedCampaign
+      ? `The "${campaign}" campaign is configured on the page`
+      : `The "${campaign}" campaign is not configured on the page`);
+  }
+
+  // once the visitor reached the frequency cap, or converted recently, they get the default content
+  const cooldown = parseFloat(metadata.cooldown) || 0;
+  const frequencyCap = parseFrequencyCap(metadata['frequency-cap']) || (cooldown ? {} : null);
+  if (frequencyCap && cooldown) {
+    frequencyCap.cooldown = cooldown;
+  }
+  let exposures = null;
+  if (selectedCampaign && frequencyCap) {
+    exposures = {
+      campaign: selectedCampaign,
+      ...ued.evaluateFrequencyCap(
+        getExposureContext(pluginOptions, env),
+        'campaigns',
+        selectedCampaign,
+        frequencyCap,
+      ),
+    };
+    // simulated campaigns are neither capped nor counted
+    if (isSimulated) {
+      addTrace(trace, 'frequency-cap', 'info', 'The campaign is simulated, so it is not capped');
+    } else if (exposures.isCapped) {
+      selectedCampaign = null;
+      addTrace(trace, 'frequency-cap', 'failed', exposures.lastConversion
+        ? `The visitor reached the frequency cap, or converted on ${exposures.lastConversion}`
+        : 'The visitor reached the frequency cap');
+    } else {
+      addTrace(trace, 'frequency-cap', 'passed', `The visitor saw the campaign ${exposures.impressions} time(s) before`);
+    }
+  }
+
+  return {
+    audiences,
+    audiencesResolution,
+    configuredCampaigns,
+    exposures,
+    frequencyCap,
+    isCapped: Boolean(exposures?.isCapped) && !isSimulated,
+    isHoldout,
+    isSimulated,
+    resolvedAudiences,
+    selectedCampaign,
+    trace,
+  };
+}
+
+// the campaigns whose impression was recorded in each page view, by decisioning environment
+const campaignImpressionsMemo = new WeakMap();
+
+/**
+ * Records an impression of the campaign selected in a config, once its content is applied.
+ * Each campaign counts at most one impression per page view, even if it applies to several
+ * sections or fragments.
+ * @param {Object} pluginOptions the plugin options
+ * @param {Object} config the campaign config
+ * @param {Object} env the decisioning environment
+ */
+export function recordCampaignImpression(pluginOptions, config, env) {
+  const {
+    exposures, frequencyCap, isSimulated, selectedCampaign,
+  } = config;
+  // simulated campaigns are not counted
+  if (!selectedCampaign || !frequencyCap || isSimulated) {
+    return;
+  }
+  if (!campaignImpressionsMemo.has(env)) {
+    campaignImpressionsMemo.set(env, new Set());
+  }
+  const recorded = campaignImpressionsMemo.get(env);
+  if (recorded.has(selectedCampaign)) {
+    return;
+  }
+  recorded.add(selectedCampaign);
+  ued.recordImpression(
+    getExposureContext(pluginOptions, env),
+    'campaigns',
+    selectedCampaign,
+    frequencyCap,
+  );
+  if (exposures) {
+    exposures.impressions += 1;
+  }
+}
+
+/**
+ * Gets the URL of the experience to serve for the campaign.
+ * @param {Object} config the campaign config
+ * @returns {String} the URL, or `null` if no campaign is selected
+ */
+export function getUrlFromCampaignConfig(config) {
+  return config.selectedCampaign
+    ? config.configuredCampaigns[config.selectedCampaign]
+    : null;
+}
+
+/**
+ * Gets the audience config for the given metadata, and selects the audience to serve.
+ * @param {Object} pluginOptions the plugin options
+ * @param {Object} metadata the audience metadata
+ * @param {Object} overrides the overrides from the query parameters
+ * @param {Object} env the decisioning environment
+ * @returns {Object} the audience config, or a falsy value if no audience applies
+ */
+export async function getAudienceConfig(pluginOptions, metadata, overrides, env) {
+  if (!Object.keys(metadata).length) {
+    return null;
+  }
+
+  const configuredAudiencesName = Object.keys(metadata).map(toClassName);
+  const resolvedAudiences = await getResolvedAudiences(
+    configuredAudiencesName,
+    pluginOptions,
+    env,
+  );
+  if (resolvedAudiences && !resolvedAudiences.length) {
+    return false;
+  }
+  const audiencesResolution = await getAudiencesResolution(configuredAudiencesName, env);
+
+  // holdout visitors always get the default content, unless they simulate an audience
+  const isHoldout = Boolean(env.holdout?.isInHoldout) && !Object.keys(overrides).length;
+  const forcedAudience = overrides.audience ? toClassName(overrides.audience) : null;
+  const selectedAudience = isHoldout ? null : forcedAudience || resolvedAudiences[0];
+
+  const trace = [];
+  if (forcedAudience) {
+    addTrace(trace, 'audience', 'passed', `The "${forcedAudience}" audience is forced via the query parameters`);
+  } else if (resolvedAudiences) {
+    addTrace(trace, 'audience', 'passed', `The visitor is in the ${resolvedAudiences.map((a) => `"${a}"`).join(', ')} audience(s)`);
+    addAudiencesResolutionTrace(trace, audiencesResolution);
+  }
+  if (isHoldout) {
+    addTrace(trace, 'holdout', 'failed', 'The visitor is in the global holdout group');
+  } else if (resolvedAudiences?.length > 1 && !forcedAudience) {
+    addTrace(trace, 'priority', 'info', `The "${selectedAudience}" audience comes first on the page`);
+  }
+
+  return {
+    audiencesResolution,
+    configuredAudiences: metadata,
+    isHoldout,
+    resolvedAudiences,
+    selectedAudience,
+    trace,
+  };
+}
+
+/**
+ * Gets the URL of the experience to serve for the audience.
+ * @param {Object} config the audience config
+ * @returns {String} the URL, or `null` if no audience is selected
+ */
+export function getUrlFromAudienceConfig(config) {
+  return config.selectedAudience
+    ? config.configuredAudiences[config.selectedAudience]
+    : null;
+}
+
+/**
+ * Lists the audiences referenced in an eligibility condition.
+ * @param {Object} condition the condition
+ * @returns {String[]} the audience names
+ */
+function getConditionAudiences(condition) {
+  if (!condition) {
+    return [];
+  }
+  return [
+    ...[].concat(condition.audience || condition.audiences || []),
+    ...[...(condition.and || []), ...(condition.or || []), condition.not]
+      .flatMap((c) => getConditionAudiences(c)),
+  ];
+}
+
+/**
+ * Fetches the offers from a JSON endpoint in the spreadsheet format, with the `Offer`, `Url`,
+ * `Priority`, `Audiences`, `Max Impressions`, `Cap Days` and `Cooldown` columns.
+ * @param {String} url The URL of the offers JSON
+ * @param {Object} env the decisioning environment
+ * @returns {Promise<Object[]>} the offers
+ */
+async function fetchOffers(url, env) {
+  const response = await env.fetch(new URL(url, env.url.origin));
+  if (!response.ok) {
+    throw new Error(`${response.status} ${response.statusText}`);
+  }
+  const json = await response.json();
+  return (json.data || [])
+    .map((entry) => Object.keys(entry).reduce((res, k) => {
+      res[toCamelCase(k)] = entry[k];
+      return res;
+    }, {}))
+    .filter((entry) => entry.offer && entry.url)
+    .map((entry) => {
+      const audiences = stringToArray(entry.audiences).map(toClassName);
+      const maxImpressions = Number(entry.maxImpressions);
+      const cooldown = Number(entry.cooldown);
+      return {
+        id: toClassName(entry.offer),
+        url: entry.url,
+        priority: Number(entry.priority) || 0,
+        ...(audiences.length ? { condition: { audiences } } : {}),
+        ...(maxImpressions > 0 || cooldown > 0 ? {
+          cap: {
+            ...(maxImpressions > 0 ? { impressions: maxImpressions } : {}),
+            ...(entry.capDays ? { days: Number(entry.capDays) } : {}),
+            ...(cooldown > 0 ? { cooldown } : {}),
+          },
+        } : {}),
+      };
+    });
+}
+
+/**
+ * Ranks the offers for the current visitor, and returns the best ones.
+ * Offers the visitor is not eligible for, or has already seen as many times as their cap allows,
+ * are skipped. Visitors in the holdout group only get the offers that have no eligibility rule.
+ * @param {Object} pluginOptions the plugin options
+ * @param {String|Object[]} source The URL of the offers JSON, or the list of offers, each with an
+ * `id`, and an optional `priority`, `condition` and `cap` (`{ impressions, days, cooldown }`)
+ * @param {Object} [options] the selection options
+ * @param {Number} [options.limit] the maximum number of offers to return, defaults to `1`
+ * @param {Object} [options.attributes] the visitor attributes used in the eligibility rules
+ * @param {Object} env the decisioning environment
+ * @returns {Promise<Object[]>} the selected offers, ordered by rank
+ */
+export async function getPersonalizedOffers(pluginOptions, source, options, env) {
+  const { limit = 1, attributes = {} } = options || {};
+  try {
+    let offers = typeof source === 'string' ? await fetchOffers(source, env) : source;
+    if (env.holdout?.isInHoldout) {
+      offers = offers.filter((offer) => !offer.condition);
+    }
+    const audiences = [...new Set(offers
+      .flatMap((offer) => getConditionAudiences(offer.condition)))];
+    const resolvedAudiences = await getResolvedAudiences(audiences, pluginOptions, env);
+    const { items } = ued.evaluateDecisionPolicy({
+      id: 'offers',
+      rootDecisionNodeId: 'n1',
+      decisionNodes: [{
+        id: 'n1',
+        type: 'OFFER_SELECTION',
+        offerSelection: { offers, limit },
+      }],
+    }, {
+      ...getExposureContext(pluginOptions, env),
+      audiences: resolvedAudiences || [],
+      attributes,
+    });
+    return items;
+  } catch (err) {
+    // eslint-disable-next-line no-console
+    console.warn('Cannot select offers: ', source, err);
+  }
+  return [];
+}
+
+const EXPOSURE_LEDGERS = { campaign: 'campaigns', offer: 'offers' };
+
+/**
+ * Records a conversion on a campaign or an offer, which starts its cooldown period.
+ * @param {Object} pluginOptions the plugin options
+ * @param {String} type Either `campaign` or `offer`
+ * @param {String} id The campaign or offer ID
+ * @param {Object} env the decisioning environment
+ */
+export function recordConversion(pluginOptions, type, id, env) {
+  if (!EXPOSURE_LEDGERS[type]) {
+    throw new Error(`Unknown conversion type: ${type}`);
+  }
+  ued.recordConversion(
+    getExposureContext(pluginOptions, env),
+    EXPOSURE_LEDGERS[type],
+    toClassName(id),
+  );
+}
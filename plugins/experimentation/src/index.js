@@ -9,6 +9,30 @@
  * OF ANY KIND, either express or implied. See the License for the specific language
  * governing permissions and limitations under the License.
  */
+import {
+  DEFAULT_DECISIONING_OPTIONS,
+  getAudienceConfig,
+  getBlockCodePaths,
+  getCampaignConfig,
+  getExperimentConfig,
+  getExperimentsIndexEntries,
+  getHoldout,
+  getPersonalizedOffers as selectOffers,
+  getResolvedAudiences as resolveAudiences,
+  getTargetActivityConfig,
+  getUrlFromAudienceConfig,
+  getUrlFromCampaignConfig,
+  getUrlFromExperimentConfig,
+  recordCampaignImpression,
+  recordConversion as recordExposureConversion,
+  stringToArray,
+  toClassName,
+} from './decisioning.js';
+import { createBrowserEnvironment } from './adapters/browser.js';
+import { applyTargetModifications, trackClickConversions } from './target.js';
+
+export { toClassName, toCamelCase } from './decisioning.js';
+
 const MAX_SAMPLING_RATE = 10; // At a maximum we sample 1 in 10 requests
 
 let isDebugEnabled;
@@ -35,49 +59,18 @@ export const DEFAULT_OPTIONS = {
   rumSamplingRate: MAX_SAMPLING_RATE, // 1 in 10 requests
   trackingFunction: window.sampleRUM,
 
-  // Audiences related properties
-  audiences: {},
-  audiencesMetaTagPrefix: 'audience',
-  audiencesQueryParameter: 'audience',
+  // Anti-flicker related properties
+  antiFlickerSelector: null, // the elements to hide until the decisions are applied, i.e. `main`
+  decisioningBudget: null, // the max time to apply the decisions, in milliseconds
 
-  // Campaigns related properties
-  campaignsMetaTagPrefix: 'campaign',
-  campaignsQueryParameter: 'campaign',
+  // Content related properties
+  contentCache: 'sessionStorage', // where to cache the variants content, or `null` to disable it
+  fragmentsTimeout: 10000, // how long to wait for the manifest selectors, in milliseconds
 
-  // Experimentation related properties
-  experimentsRoot: '/experiments',
-  experimentsConfigFile: 'manifest.json',
-  experimentsMetaTag: 'experiment',
-  experimentsQueryParameter: 'experiment',
+  // Decisioning related properties
+  ...DEFAULT_DECISIONING_OPTIONS,
 };
 
-function stringToArray(str) {
-  if (Array.isArray(str)) {
-    return str;
-  }
-  return str ? str.split(/[,\n]/).filter((s) => s.trim()) : [];
-}
-
-/**
- * Sanitizes a name for use as class name.
- * @param {String} name The unsanitized name
- * @returns {String} The class name
- */
-export function toClassName(name) {
-  return typeof name === 'string'
-    ? name.toLowerCase().replace(/[^0-9a-z]/gi, '-').replace(/-+/g, '-').replace(/^-|-$/g, '')
-    : '';
-}
-
-/**
- * Sanitizes a name for use as a js property name.
- * @param {String} name The unsanitized name
- * @returns {String} The camelCased name
- */
-export function toCamelCase(name) {
-  return toClassName(name).replace(/-([a-z])/g, (g) => g[1].toUpperCase());
-}
-
 /**
  * Retrieves the content of metadata tags.
  * @param {String} name The metadata name (or property)
@@ -189,27 +182,110 @@ function getAllSectionMeta(block, scope) {
   return config;
 }
 
+let contentCache = null;
+const contentRequests = new Map();
+const contentDocuments = new Map();
+const preloadedImages = new Set();
+
 /**
- * Replaces element with content from path
+ * Fetches the HTML of a page or fragment. The HTML is cached, so repeat views get it right away,
+ * and it is then revalidated in the background using its ETag, for the next views.
  * @param {String} path
- * @param {HTMLElement} el
- * @return Returns the path that was loaded or null if the loading failed
+ * @return Returns a promise of the HTML, or null if the loading failed
  */
-async function replaceInner(path, el) {
+function fetchHtml(path) {
+  if (contentRequests.has(path)) {
+    return contentRequests.get(path);
+  }
+  const key = `aem-experimentation-content:${new URL(path, window.location.origin).pathname}`;
+  let cached = null;
   try {
-    const resp = await fetch(path);
-    if (!resp.ok) {
-      // eslint-disable-next-line no-console
-      console.log('error loading content:', resp);
-      return null;
-    }
-    const html = await resp.text();
-    // parse with DOMParser to guarantee valid HTML, and no script execution(s)
-    const dom = new DOMParser().parseFromString(html, 'text/html');
-    // eslint-disable-next-line no-param-reassign
-    const newEl = dom.querySelector(el.tagName === 'MAIN' ? 'main' : 'main > div');
-    el.innerHTML = newEl.innerHTML;
-    return path;
+    cached = JSON.parse(contentCache?.getItem(key) || null);
+  } catch (err) {
+    // ignore invalid or inaccessible cache
+  }
+  const request = fetch(path, cached?.etag ? { headers: { 'If-None-Match': cached.etag } } : {})
+    .then(async (resp) => {
+      if (resp.status === 304 && cached) {
+        return cached.html;
+      }
+      if (!resp.ok) {
+        // eslint-disable-next-line no-console
+        console.log('error loading content:', resp);
+        return null;
+      }
+      const html = await resp.text();
+      const etag = resp.headers.get('etag');
+      try {
+        if (etag && contentCache) {
+          contentCache.setItem(key, JSON.stringify({ etag, html }));
+        }
+      } catch (err) {
+        debug('Cannot cache content', path, err);
+      }
+      return html;
+    });
+  if (cached) {
+    request.catch((err) => debug('Cannot revalidate content', path, err));
+  }
+  const html = cached ? Promise.resolve(cached.html) : request;
+  contentRequests.set(path, html);
+  return html;
+}
+
+/**
+ * Fetches and parses the HTML of a page or fragment, at most once per page view.
+ * @param {String} path
+ * @return Returns a promise of the parsed document, or null if the loading failed
+ */
+function fetchDocument(path) {
+  if (!contentDocuments.has(path)) {
+    contentDocuments.set(path, fetchHtml(path).then((html) => (html === null
+      ? null
+      // parse with DOMParser to guarantee valid HTML, and no script execution(s)
+      : new DOMParser().parseFromString(html, 'text/html'))));
+  }
+  return contentDocuments.get(path);
+}
+
+/**
+ * Preloads the first image of some content, which is likely the LCP image if the content is
+ * above the fold, so that it loads while the rest of the page is being decorated.
+ * @param {HTMLElement} content
+ */
+function preloadLcpImage(content) {
+  const img = content?.querySelector('img');
+  if (!img) {
+    return;
+  }
+  // pick the same source the browser would, if the image is in a responsive picture
+  const source = [...(img.closest('picture')?.querySelectorAll('source') || [])]
+    .find((s) => (!s.type || s.type === 'image/webp')
+      && (!s.media || window.matchMedia(s.media).matches));
+  const src = source?.getAttribute('srcset') || img.getAttribute('src');
+  const href = src ? new URL(src, window.location.href).href : null;
+  if (!href || preloadedImages.has(href)) {
+    return;
+  }
+  preloadedImages.add(href);
+  const link = document.createElement('link');
+  link.rel = 'preload';
+  link.as = 'image';
+  link.href = href;
+  link.fetchPriority = 'high';
+  document.head.append(link);
+}
+
+/**
+ * Fetches the content of a page or fragment
+ * @param {String} path
+ * @param {Boolean} isPage whether to get the whole main content, or only its first section
+ * @return Returns the content element or null if the loading failed
+ */
+async function fetchContent(path, isPage) {
+  try {
+    const dom = await fetchDocument(path);
+    return dom ? dom.querySelector(isPage ? 'main' : 'main > div') : null;
   } catch (e) {
     // eslint-disable-next-line no-console
     console.log(`error loading content: ${path}`, e);
@@ -218,88 +294,139 @@ async function replaceInner(path, el) {
 }
 
 /**
- * Checks if any of the configured audiences on the page can be resolved.
- * @param {String[]} pageAudiences a list of configured audiences for the page
- * @param {Object} options the plugin options
- * @returns Returns the names of the resolved audiences, or `null` if no audience is configured
+ * Starts loading the content of a variant. If the content replaces the main content or its first
+ * section, its first image is preloaded as soon as the HTML is available (right away if it is
+ * cached), before the content is applied.
+ * @param {String} path
+ * @param {HTMLElement} el the element the content will replace
  */
-export async function getResolvedAudiences(pageAudiences, options) {
-  if (!pageAudiences.length || !Object.keys(options.audiences).length) {
-    return null;
+function prefetchContent(path, el) {
+  const dom = fetchDocument(path);
+  if (el.tagName === 'MAIN' || el === document.querySelector('main > div')) {
+    const selector = el.tagName === 'MAIN' ? 'main' : 'main > div';
+    dom.then((d) => preloadLcpImage(d?.querySelector(selector)))
+      .catch((err) => debug('Cannot preload the LCP image', path, err));
   }
-  // If we have a forced audience set in the query parameters (typically for simulation purposes)
-  // we check if it is applicable
-  const usp = new URLSearchParams(window.location.search);
-  const forcedAudience = usp.has(options.audiencesQueryParameter)
-    ? toClassName(usp.get(options.audiencesQueryParameter))
-    : null;
-  if (forcedAudience) {
-    return pageAudiences.includes(forcedAudience) ? [forcedAudience] : [];
+}
+
+/**
+ * Replaces element with content from path
+ * @param {String} path
+ * @param {HTMLElement} el
+ * @param {Object} [budget] the time budget the content must be loaded in
+ * @return Returns the path that was loaded or null if the loading failed
+ */
+async function replaceInner(path, el, budget) {
+  prefetchContent(path, el);
+  const content = await fetchContent(path, el.tagName === 'MAIN');
+  // past the time budget, the page keeps the control content to avoid any flicker
+  if (!content || budget?.isExpired) {
+    return null;
   }
+  el.innerHTML = content.innerHTML;
+  return path;
+}
 
-  // Otherwise, return the list of audiences that are resolved on the page
-  const results = await Promise.all(
-    pageAudiences
-      .map((key) => {
-        if (options.audiences[key] && typeof options.audiences[key] === 'function') {
-          return options.audiences[key]();
-        }
-        return false;
-      }),
-  );
-  return pageAudiences.filter((_, i) => results[i]);
+/**
+ * The positions of the inserted content, by insertion mode.
+ */
+const INSERTION_POSITIONS = {
+  replace: null,
+  append: 'beforeend',
+  prepend: 'afterbegin',
+  before: 'beforebegin',
+  after: 'afterend',
+  remove: null,
+};
+
+/**
+ * Inserts the content from path relative to an element
+ * @param {String} path
+ * @param {HTMLElement} el
+ * @param {String} mode Either `replace`, `append`, `prepend`, `before`, `after` or `remove`
+ * @param {Object} [budget] the time budget the content must be loaded in
+ * @return Returns the element holding the new content (the element itself if it is replaced
+ * or removed), or null if the loading failed
+ */
+async function insertContent(path, el, mode, budget) {
+  if (budget?.isExpired) {
+    return null;
+  }
+  if (mode === 'remove') {
+    el.remove();
+    return el;
+  }
+  if (mode === 'replace') {
+    return (await replaceInner(path, el, budget)) ? el : null;
+  }
+  const content = await fetchContent(path, false);
+  if (!content || budget?.isExpired) {
+    return null;
+  }
+  const container = document.createElement('div');
+  container.innerHTML = content.innerHTML;
+  el.insertAdjacentElement(INSERTION_POSITIONS[mode], container);
+  return container;
 }
 
 /**
- * Calculates percentage split for variants where the percentage split is not
- * explicitly configured.
- * Substracts from 100 the explicitly configured percentage splits,
- * and divides the remaining percentage, among the variants without explicit
- * percentage split configured
- * @param {Array} variant objects
+ * Hides the elements matching the selector until the returned method is called.
+ * @param {String} selector The CSS selector of the elements to hide
+ * @returns {Function} the method revealing the elements
  */
-function inferEmptyPercentageSplits(variants) {
-  const variantsWithoutPercentage = [];
+function hideContent(selector) {
+  const style = document.createElement('style');
+  style.textContent = `${selector} { visibility: hidden !important; }`;
+  document.head.append(style);
+  return () => style.remove();
+}
 
-  const remainingPercentage = variants.reduce((result, variant) => {
-    if (!variant.percentageSplit) {
-      variantsWithoutPercentage.push(variant);
-    }
-    const newResult = result - parseFloat(variant.percentageSplit || 0);
-    return newResult;
-  }, 1);
-  if (variantsWithoutPercentage.length) {
-    const missingPercentage = remainingPercentage / variantsWithoutPercentage.length;
-    variantsWithoutPercentage.forEach((v) => {
-      v.percentageSplit = missingPercentage.toFixed(2);
-    });
+let redirectedExperiment = null;
+
+// the time budget of the decisions made in the page view, if any: once expired, it stays
+// expired so every later step keeps the control content
+let eagerBudget = null;
+
+/**
+ * Gets the experiment the visitor was redirected from, if any, and removes the redirect
+ * query parameter from the URL.
+ * @param {Object} pluginOptions The plugin options
+ * @returns {Object} the `experiment` ID and the served `variant`, or `null`
+ */
+function getRedirectedExperiment(pluginOptions) {
+  const url = new URL(window.location.href);
+  const param = pluginOptions.experimentsRedirectQueryParameter;
+  const value = url.searchParams.get(param);
+  if (!value) {
+    return null;
   }
+  url.searchParams.delete(param);
+  window.history.replaceState(window.history.state, '', url.href);
+  const [experiment, variant] = value.split('/');
+  return { experiment: toClassName(experiment), variant: toClassName(variant) };
 }
 
 /**
- * Converts the experiment config to a decision policy
+ * Gets the URL to redirect the visitor to for a redirect experiment. It keeps the query
+ * parameters and hash of the current page, and flags the experiment the visitor comes from.
+ * @param {String} url The URL of the variant page
  * @param {Object} config The experiment config
- * @returns a decision policy for the experiment config
+ * @param {Object} pluginOptions The plugin options
+ * @returns {String} the redirect URL
  */
-function toDecisionPolicy(config) {
-  const decisionPolicy = {
-    id: 'content-experimentation-policy',
-    rootDecisionNodeId: 'n1',
-    decisionNodes: [{
-      id: 'n1',
-      type: 'EXPERIMENTATION',
-      experiment: {
-        id: config.id,
-        identityNamespace: 'ECID',
-        randomizationUnit: 'DEVICE',
-        treatments: Object.entries(config.variants).map(([key, props]) => ({
-          id: key,
-          allocationPercentage: Number(props.percentageSplit) * 100,
-        })),
-      },
-    }],
-  };
-  return decisionPolicy;
+function getRedirectUrl(url, config, pluginOptions) {
+  const target = new URL(url, window.location.origin);
+  new URLSearchParams(window.location.search).forEach((value, key) => {
+    if (!target.searchParams.has(key)) {
+      target.searchParams.append(key, value);
+    }
+  });
+  target.searchParams.set(
+    pluginOptions.experimentsRedirectQueryParameter,
+    `${config.id}/${config.selectedVariant}`,
+  );
+  target.hash = target.hash || window.location.hash;
+  return target.href;
 }
 
 function getModificationsHandler(
@@ -307,19 +434,40 @@ function getModificationsHandler(
   metadataToConfig,
   getExperienceUrl,
   pluginOptions,
+  env,
   cb,
 ) {
   return async (el, metadata) => {
-    const config = await metadataToConfig(pluginOptions, metadata, overrides);
+    const budget = eagerBudget;
+    const config = await metadataToConfig(pluginOptions, metadata, overrides, env);
     if (!config) {
       return null;
     }
     const ns = { config, el };
+    // the exposure was already tracked when the visitor was redirected to this page
+    if (el.tagName === 'MAIN' && redirectedExperiment?.experiment === config.id) {
+      return ns;
+    }
     const url = await getExperienceUrl(ns.config);
-    let res;
-    if (new URL(url, window.location.origin).pathname !== window.location.pathname) {
-      res = await replaceInner(url, el);
-    } else {
+    const { pathname } = url ? new URL(url, window.location.origin) : {};
+    const isServed = el.tagName === 'MAIN' && getMetadata('served-experience') === pathname;
+    if (el.tagName === 'MAIN' && config.mode === 'redirect' && !budget?.isExpired
+      && url && pathname !== window.location.pathname) {
+      // the page was itself reached via a redirect, so we stop here to avoid loops
+      if (redirectedExperiment) {
+        debug('redirect loop prevented', config.id, url);
+        return ns;
+      }
+      window.location.replace(getRedirectUrl(url, config, pluginOptions));
+      // keep the control page from rendering while the browser navigates to the variant
+      return new Promise(() => {});
+    }
+    let res = null;
+    // the variant might already have been served by the CDN or the server
+    if (url && pathname !== window.location.pathname && !isServed) {
+      res = await replaceInner(url, el, budget);
+    } else if (url && (isServed || !budget?.isExpired)) {
+      // block experiments serve the variant later on, when the blocks are loaded
       res = url;
     }
     cb(el.tagName === 'MAIN' ? document.body : ns.el, ns.config, res ? url : null);
@@ -342,7 +490,8 @@ async function getManifestEntries(urlString) {
       }, {}))
       .filter((entry) => !entry.page || entry.page === window.location.pathname)
       .filter((entry) => entry.selector)
-      .filter((entry) => entry.url);
+      // removed elements do not load any content
+      .filter((entry) => entry.url || toClassName(entry.mode) === 'remove');
   } catch (err) {
     // eslint-disable-next-line no-console
     console.warn('Cannot apply manifest: ', urlString, err);
@@ -350,45 +499,108 @@ async function getManifestEntries(urlString) {
   return null;
 }
 
-function watchMutationsAndApplyFragments(ns, scope, entries, aggregator, pluginOptions, metadataToConfig, overrides, cb) {
-  if (!entries.length) {
-    return;
-  }
+function watchMutationsAndApplyFragments(
+  ns,
+  scope,
+  entries,
+  aggregator,
+  pluginOptions,
+  env,
+  metadataToConfig,
+  getExperienceUrl,
+  overrides,
+  cb,
+) {
+  const timeouts = new Map();
+  let observer;
 
-  new MutationObserver(async (_, observer) => {
-    // eslint-disable-next-line no-restricted-syntax
-    for (const entry of entries) {
-      // eslint-disable-next-line no-await-in-loop
-      const config = await metadataToConfig(pluginOptions, entry, overrides);
-      if (!config || entry.isApplied) {
-        return;
-      }
-      const el = scope.querySelector(entry.selector);
-      if (!el) {
+  const applyFragment = async (entry, el) => {
+    const budget = eagerBudget;
+    const config = await metadataToConfig(pluginOptions, entry, overrides, env);
+    if (!config) {
+      return;
+    }
+    const fragmentNS = { config, el };
+    const url = await getExperienceUrl(config);
+    let res = null;
+    // the default experience is the current content, and since removals do not load any
+    // content, experiments can remove elements for variants of the current page too
+    const isDefault = entry.mode === 'remove' && config.variantNames
+      ? config.selectedVariant === config.variantNames[0]
+      : !url || new URL(url, window.location.origin).pathname === window.location.pathname;
+    if (!isDefault) {
+      res = await insertContent(url, el, entry.mode, budget);
+    }
+    let target = el.tagName === 'MAIN' ? document.body : el;
+    if (res && res !== el) {
+      target = res;
+    }
+    cb(target, config, res ? url : null);
+    if (res) {
+      fragmentNS.servedExperience = url;
+    }
+    debug('fragment', ns, fragmentNS);
+    aggregator.push(fragmentNS);
+  };
+
+  const settle = (entry) => {
+    clearTimeout(timeouts.get(entry));
+    timeouts.delete(entry);
+    if (!timeouts.size) {
+      observer.disconnect();
+    }
+  };
+
+  // each entry is applied as soon as its selector matches, independently of the other ones
+  const applyMatchingFragments = () => {
+    [...timeouts.keys()].forEach((entry) => {
+      let el;
+      try {
+        el = scope.querySelector(entry.selector);
+      } catch (err) {
+        debug('invalid fragment selector', ns, entry.selector);
+        settle(entry);
         return;
       }
-      entry.isApplied = true;
-      const fragmentNS = { config, el };
-      const url = config.variants[config.selectedVariant].pages[0];
-      // eslint-disable-next-line no-await-in-loop
-      const res = await replaceInner(url, el);
-      cb(el.tagName === 'MAIN' ? document.body : fragmentNS.el, fragmentNS.config, res ? url : null);
-      if (res) {
-        fragmentNS.servedExperience = url;
+      if (el) {
+        settle(entry);
+        applyFragment(entry, el).catch((err) => {
+          // eslint-disable-next-line no-console
+          console.log(`error applying fragment: ${entry.selector}`, err);
+        });
       }
-      debug('fragment', ns, fragmentNS);
-      aggregator.push(fragmentNS);
-    }
-    if (entries.every((entry) => entry.isApplied)) {
-      observer.disconnect();
+    });
+  };
+
+  observer = new MutationObserver(applyMatchingFragments);
+  entries.forEach((entry) => {
+    entry.mode = toClassName(entry.mode) || 'replace';
+    if (!(entry.mode in INSERTION_POSITIONS)) {
+      debug('unknown fragment insertion mode', ns, entry.mode);
+      return;
     }
-  }).observe(scope, { childList: true, subtree: true });
+    const timeout = Number(entry.timeout) || pluginOptions.fragmentsTimeout;
+    timeouts.set(entry, setTimeout(() => {
+      // the selector is likely stale
+      settle(entry);
+      debug('fragment selector not found', ns, entry.selector, `${timeout}ms`);
+      if (pluginOptions.trackingFunction) {
+        pluginOptions.trackingFunction('fragment-timeout', { source: ns, target: entry.selector });
+      }
+    }, timeout));
+  });
+  if (!timeouts.size) {
+    return;
+  }
+  observer.observe(scope, { childList: true, subtree: true });
+  applyMatchingFragments();
 }
 
 async function applyAllModifications(
   ns,
   paramNS,
   pluginOptions,
+  env,
   metadataToConfig,
   getExperienceUrl,
   cb,
@@ -398,17 +610,28 @@ async function applyAllModifications(
     metadataToConfig,
     getExperienceUrl,
     pluginOptions,
+    env,
     cb,
   );
 
   const fragmentsNS = [];
 
+  // Site-wide experiments that target the page via a path pattern
+  const indexEntries = ns === pluginOptions.experimentsMetaTag
+    ? await getExperimentsIndexEntries(pluginOptions, env)
+    : [];
+
   // Full-page modifications
   const pageMetadata = getAllMetadata(ns);
-  const pageNS = await modificationsHandler(
+  let pageNS = await modificationsHandler(
     document.querySelector('main'),
     pageMetadata,
   );
+  // the page metadata takes precedence over the index
+  const indexPageEntry = indexEntries.find((entry) => !entry.selector);
+  if (!pageNS && indexPageEntry) {
+    pageNS = await modificationsHandler(document.querySelector('main'), indexPageEntry);
+  }
   if (pageNS) {
     debug('page', ns, pageNS);
   }
@@ -429,8 +652,13 @@ async function applyAllModifications(
       }
     }));
 
-  if (pageMetadata.manifest) {
-    let entries = await getManifestEntries(pageMetadata.manifest);
+  const fragmentIndexEntries = indexEntries
+    .filter((e) => e.selector && (e.url || toClassName(e.mode) === 'remove'));
+  if (pageMetadata.manifest || fragmentIndexEntries.length) {
+    let entries = [
+      ...(pageMetadata.manifest ? (await getManifestEntries(pageMetadata.manifest)) || [] : []),
+      ...fragmentIndexEntries,
+    ];
     if (ns === pluginOptions.experimentsMetaTag) {
       entries = Object.values(Object.groupBy(entries, ({ experiment }) => experiment))
         .map((e) => e.reduce((aggregator, entry) => {
@@ -449,141 +677,43 @@ async function applyAllModifications(
           return aggregator;
         }, {}));
     }
-    watchMutationsAndApplyFragments(ns, document.body, entries, fragmentsNS, pluginOptions, metadataToConfig, getAllQueryParameters(paramNS), cb);
+    watchMutationsAndApplyFragments(
+      ns,
+      document.body,
+      entries,
+      fragmentsNS,
+      pluginOptions,
+      env,
+      metadataToConfig,
+      getExperienceUrl,
+      getAllQueryParameters(paramNS),
+      cb,
+    );
   }
 
   return { page: pageNS, sections: sectionsNS, fragments: fragmentsNS };
 }
 
-async function getExperimentConfig(pluginOptions, metadata, overrides) {
-  const id = toClassName(metadata.value || metadata.experiment);
-  if (!id) {
-    return null;
-  }
-
-  let pages = metadata.variants || metadata.url;
-
-  // Backward compatibility
-  if (!pages) {
-    pages = getMetadata('instant-experiment');
-  }
-  if (metadata.audience) {
-    metadata.audiences = metadata.audience;
-  }
-
-  const nbOfVariants = Number(pages);
-  pages = Number.isNaN(nbOfVariants)
-    ? stringToArray(pages).map((p) => new URL(p.trim(), window.location).pathname)
-    : new Array(nbOfVariants).fill(window.location.pathname);
-  if (!pages.length) {
-    return null;
-  }
-
-  const audiences = stringToArray(metadata.audiences).map(toClassName);
-
-  const splits = metadata.split
-    // custom split
-    ? stringToArray(metadata.split).map((i) => parseInt(i, 10) / 100)
-    // even split
-    : [...new Array(pages.length)].map(() => 1 / (pages.length + 1));
-
-  const variantNames = [];
-  variantNames.push('control');
-
-  const variants = {};
-  variants.control = {
-    percentageSplit: '',
-    pages: [window.location.pathname],
-    label: 'Control',
-  };
-
-  pages.forEach((page, i) => {
-    const vname = `challenger-${i + 1}`;
-    variantNames.push(vname);
-    variants[vname] = {
-      percentageSplit: `${splits[i].toFixed(2)}`,
-      pages: [page],
-      blocks: [],
-      label: `Challenger ${i + 1}`,
-    };
-  });
-  inferEmptyPercentageSplits(Object.values(variants));
-
-  const resolvedAudiences = await getResolvedAudiences(
-    audiences,
-    pluginOptions,
-  );
-
-  const startDate = metadata.startDate ? new Date(metadata.startDate) : null;
-  const endDate = metadata.endDate ? new Date(metadata.endDate) : null;
-
-  const config = {
-    id,
-    label: metadata.name || `Experiment ${metadata.value || metadata.experiment}`,
-    status: metadata.status || 'active',
-    audiences,
-    endDate,
-    resolvedAudiences,
-    startDate,
-    variants,
-    variantNames,
-  };
-
-  config.run = (
-    // experiment is active or forced
-    (['active', 'on', 'true'].includes(toClassName(config.status)) || overrides.experiment)
-    // experiment has resolved audiences if configured
-    && (!resolvedAudiences || resolvedAudiences.length)
-    // forced audience resolves if defined
-    && (!overrides.audience || audiences.includes(overrides.audience))
-    && (!startDate || startDate <= Date.now())
-    && (!endDate || endDate > Date.now())
-  );
-
-  if (!config.run) {
-    return config;
-  }
-
-  const [, forcedVariant] = (Array.isArray(overrides.value)
-    ? overrides.value
-    : stringToArray(overrides.value))
-    .map((value) => value?.split('/'))
-    .find(([experiment]) => toClassName(experiment) === config.id) || [];
-  if (variantNames.includes(toClassName(forcedVariant))) {
-    config.selectedVariant = toClassName(forcedVariant);
-  } else if (overrides.variant && variantNames.includes(overrides.variant)) {
-    config.selectedVariant = toClassName(overrides.variant);
-  } else {
-    // eslint-disable-next-line import/extensions
-    const { ued } = await import('./ued.js');
-    const decision = ued.evaluateDecisionPolicy(toDecisionPolicy(config), {});
-    config.selectedVariant = decision.items[0].id;
-  }
-
-  return config;
-}
-
-function getUrlFromExperimentConfig(config) {
-  return config.run
-    ? config.variants[config.selectedVariant].pages[0]
-    : null;
-}
-
-async function runExperiment(document, pluginOptions) {
+async function runExperiment(document, pluginOptions, env) {
   return applyAllModifications(
     pluginOptions.experimentsMetaTag,
     pluginOptions.experimentsQueryParameter,
     pluginOptions,
+    env,
     getExperimentConfig,
     getUrlFromExperimentConfig,
     (el, config, result) => {
       const { id, selectedVariant, variantNames } = config;
+      const variant = result ? selectedVariant : variantNames[0];
       el.classList.add(`experiment-${toClassName(id)}`);
-      el.classList.add(`variant-${toClassName(result ? selectedVariant : variantNames[0])}`);
-      if (pluginOptions.trackingFunction) {
+      el.classList.add(`variant-${toClassName(variant)}`);
+      // visitors that are not enrolled in the experiment should not pollute its results,
+      // and funnel experiments are only tracked on the first page the visitor is exposed to
+      if (pluginOptions.trackingFunction && config.isEnrolled !== false
+        && !config.isRepeatExposure) {
         pluginOptions.trackingFunction('experiment', {
           source: id,
-          target: result ? selectedVariant : variantNames[0],
+          target: config.isHoldout ? 'holdout' : variant,
         });
       }
       pluginOptions.decorateFuntion(el);
@@ -591,152 +721,285 @@ async function runExperiment(document, pluginOptions) {
   );
 }
 
-async function getCampaignConfig(pluginOptions, metadata, overrides) {
-  if (!Object.keys(metadata).length) {
-    return null;
-  }
-
-  // Check UTM parameters
-  let campaign = overrides.value;
-  if (!campaign) {
-    const usp = new URLSearchParams(window.location.search);
-    if (usp.has('utm_campaign')) {
-      campaign = toClassName(usp.get('utm_campaign'));
+/**
+ * Patches the block config, so that block experiments load the code of the served variant.
+ * @param {Object} config The block config, with the `blockName`, `cssPath` and `jsPath`
+ * @returns {Object} the patched block config
+ */
+function patchBlockConfig(config) {
+  const ns = window.aem || window.hlx || {};
+  const experiments = [ns.experiments?.page, ...(ns.experiments?.sections || [])]
+    .filter(Boolean)
+    // once the time budget expired, only the variants that were served in time are kept,
+    // so the blocks match the tracked exposures
+    .filter(({ servedExperience }) => !eagerBudget?.isExpired || servedExperience)
+    .map(({ config: experiment }) => experiment);
+  // eslint-disable-next-line no-restricted-syntax
+  for (const experiment of experiments) {
+    const paths = getBlockCodePaths(experiment, config.blockName, window.hlx?.codeBasePath);
+    if (paths) {
+      debug('block', config.blockName, experiment.id, paths);
+      return { ...config, ...paths };
     }
-  } else {
-    campaign = toClassName(campaign);
-  }
-
-  if (metadata.audience) {
-    metadata.audiences = metadata.audience;
-  }
-
-  const audiences = stringToArray(metadata.audiences).map(toClassName);
-  const resolvedAudiences = await getResolvedAudiences(
-    audiences,
-    pluginOptions,
-  );
-  if (resolvedAudiences && !resolvedAudiences.length) {
-    return null;
   }
-
-  const configuredCampaigns = Object.fromEntries(Object.entries(metadata)
-    .filter(([key]) => !['audience', 'audiences'].includes(key)));
-
-  return {
-    audiences,
-    configuredCampaigns,
-    resolvedAudiences,
-    selectedCampaign: campaign && metadata[campaign]
-      ? campaign
-      : null,
-  };
+  return config;
 }
 
-function getUrlFromCampaignConfig(config) {
-  return config.selectedCampaign
-    ? config.configuredCampaigns[config.selectedCampaign]
-    : null;
+/**
+ * Runs the Adobe Target VEC activities referenced in the `Experiment Activity` page metadata.
+ * @param {Document} document The page document
+ * @param {Object} pluginOptions The plugin options
+ * @param {Object} env The decisioning environment
+ * @returns {Promise<Object[]>} the activities, each with the experiment `config` and its `el`
+ */
+async function runTargetActivities(document, pluginOptions, env) {
+  const urls = stringToArray(getAllMetadata(pluginOptions.experimentsMetaTag).activity);
+  const overrides = getAllQueryParameters(pluginOptions.experimentsQueryParameter);
+  const activities = await Promise.all(urls.map(async (url) => {
+    const budget = eagerBudget;
+    let config;
+    try {
+      const response = await env.fetch(new URL(url.trim(), window.location.origin));
+      if (!response.ok) {
+        throw new Error(`${response.status} ${response.statusText}`);
+      }
+      config = await getTargetActivityConfig(pluginOptions, await response.json(), overrides, env);
+    } catch (err) {
+      // eslint-disable-next-line no-console
+      console.warn('Cannot run Target activity: ', url, err);
+    }
+    if (!config) {
+      return null;
+    }
+    config.manifest = url.trim();
+    const ns = { config, el: document.body };
+    if (!config.run) {
+      return ns;
+    }
+    const { id, variantNames } = config;
+    // past the time budget, the page keeps the control content to avoid any flicker
+    const selectedVariant = budget?.isExpired ? null : config.selectedVariant;
+    const variant = selectedVariant || variantNames[0];
+    if (selectedVariant) {
+      const { modifications } = config.variants[selectedVariant];
+      if (modifications.length) {
+        applyTargetModifications(
+          modifications,
+          document.body,
+          debug,
+          pluginOptions.fragmentsTimeout,
+        );
+      }
+      ns.servedExperience = window.location.pathname;
+    }
+    document.body.classList.add(`experiment-${toClassName(id)}`);
+    document.body.classList.add(`variant-${toClassName(variant)}`);
+    if (pluginOptions.trackingFunction && config.isEnrolled !== false) {
+      pluginOptions.trackingFunction('experiment', {
+        source: id,
+        target: config.isHoldout ? 'holdout' : variant,
+      });
+      trackClickConversions(config, pluginOptions.trackingFunction, debug);
+    }
+    debug('activity', ns);
+    return ns;
+  }));
+  return activities.filter(Boolean);
 }
 
-async function runCampaign(document, options) {
+async function runCampaign(document, options, env) {
   const pluginOptions = { ...DEFAULT_OPTIONS, ...(options || {}) };
   return applyAllModifications(
     pluginOptions.campaignsMetaTagPrefix,
     pluginOptions.campaignsQueryParameter,
     pluginOptions,
+    env,
     getCampaignConfig,
     getUrlFromCampaignConfig,
     (el, config, result) => {
+      // only the campaigns that were actually shown count towards their frequency cap
+      if (result) {
+        recordCampaignImpression(pluginOptions, config, env);
+      }
       const { selectedAudience = 'default' } = config;
       el.classList.add(`campaign-${toClassName(selectedAudience)}`);
       if (pluginOptions.trackingFunction) {
+        const target = result ? selectedAudience : 'default';
         pluginOptions.trackingFunction('campaign', {
           source: el.className,
-          target: result ? selectedAudience : 'default',
+          target: config.isHoldout ? 'holdout' : target,
         });
       }
     },
   );
 }
 
-async function getAudienceConfig(pluginOptions, metadata, overrides) {
-  if (!Object.keys(metadata).length) {
-    return null;
-  }
-
-  const configuredAudiencesName = Object.keys(metadata).map(toClassName);
-  const resolvedAudiences = await getResolvedAudiences(
-    configuredAudiencesName,
-    pluginOptions,
-  );
-  if (resolvedAudiences && !resolvedAudiences.length) {
-    return false;
-  }
-
-  const selectedAudience = overrides.audience || resolvedAudiences[0];
-
-  return {
-    configuredAudiences: metadata,
-    resolvedAudiences,
-    selectedAudience,
-  };
-}
-
-function getUrlFromAudienceConfig(config) {
-  return config.selectedAudience
-    ? config.configuredAudiences[config.selectedAudience]
-    : null;
-}
-
-async function serveAudience(document, options) {
+async function serveAudience(document, options, env) {
   const pluginOptions = { ...DEFAULT_OPTIONS, ...(options || {}) };
   return applyAllModifications(
     pluginOptions.audiencesMetaTagPrefix,
     pluginOptions.audiencesQueryParameter,
     pluginOptions,
+    env,
     getAudienceConfig,
     getUrlFromAudienceConfig,
     (el, config, result) => {
       const { selectedAudience = 'default' } = config;
       el.classList.add(`audience-${toClassName(selectedAudience)}`);
       if (pluginOptions.trackingFunction) {
+        const target = result ? selectedAudience : 'default';
         pluginOptions.trackingFunction('audience', {
           source: el.className,
-          target: result ? selectedAudience : 'default',
+          target: config.isHoldout ? 'holdout' : target,
         });
       }
     },
   );
 }
 
+let decisioning;
+
+/**
+ * Gets the plugin options and decisioning environment the plugin was loaded with.
+ * @returns {Object} the plugin options and the decisioning environment
+ */
+function getDecisioning() {
+  if (!decisioning) {
+    const pluginOptions = { ...DEFAULT_OPTIONS };
+    decisioning = {
+      pluginOptions,
+      env: createBrowserEnvironment(pluginOptions, { debug, isPreview: isDebugEnabled }),
+    };
+  }
+  return decisioning;
+}
+
+/**
+ * Checks if any of the configured audiences on the page can be resolved.
+ * The audiences are resolved in the same environment as the page decisions, so they share
+ * the resolutions that were already made and their storage.
+ * @param {String[]} pageAudiences a list of configured audiences for the page
+ * @param {Object} [options] the plugin options, defaults to the ones the plugin was loaded with
+ * @returns Returns the names of the resolved audiences, or `null` if no audience is configured
+ */
+export async function getResolvedAudiences(pageAudiences, options = {}) {
+  const { pluginOptions, env } = getDecisioning();
+  return resolveAudiences(pageAudiences, { ...pluginOptions, ...options }, env);
+}
+
+/**
+ * Gets the best offers for the current visitor, so that a block can render them.
+ * @param {String|Object[]} source The URL of the offers JSON, or the list of offers
+ * @param {Object} [options] the selection options, i.e. `{ limit: 3 }` for the top 3 offers
+ * @returns {Promise<Object[]>} the selected offers, ordered by rank
+ */
+export async function getPersonalizedOffers(source, options = {}) {
+  const { pluginOptions, env } = getDecisioning();
+  const offers = await selectOffers(pluginOptions, source, options, env);
+  debug('offers', source, offers);
+  return offers;
+}
+
+/**
+ * Records a conversion on a campaign or an offer, so the visitor does not see it again
+ * until its cooldown period is over.
+ * @param {String} type Either `campaign` or `offer`
+ * @param {String} id The campaign or offer ID
+ */
+export function recordConversion(type, id) {
+  const { pluginOptions, env } = getDecisioning();
+  recordExposureConversion(pluginOptions, type, id, env);
+  debug('conversion', type, id);
+}
+
 export async function loadEager(document, options = {}) {
   const pluginOptions = { ...DEFAULT_OPTIONS, ...options };
-  setDebugMode(pluginOptions);
+  const isPreview = setDebugMode(pluginOptions);
 
+  const env = createBrowserEnvironment(pluginOptions, { debug, getMetadata, isPreview });
+  decisioning = { pluginOptions, env };
+  try {
+    contentCache = pluginOptions.contentCache ? window[pluginOptions.contentCache] : null;
+  } catch (err) {
+    // the browser denies access to the storage
+  }
+  redirectedExperiment = getRedirectedExperiment(pluginOptions);
   const ns = window.aem || window.hlx || {};
-  ns.audiences = await serveAudience(document, pluginOptions);
-  ns.experiments = await runExperiment(document, pluginOptions);
-  ns.campaigns = await runCampaign(document, pluginOptions);
-
-  // Backward compatibility
-  ns.experiment = ns.experiments?.page?.config
-    ? {
-      ...ns.experiments.page.config,
-      ...(ns.experiments.page.servedExperience
-        ? { servedExperience: ns.experiments.page.servedExperience }
-        : {}),
+  const { antiFlickerSelector, decisioningBudget } = pluginOptions;
+  const reveal = antiFlickerSelector ? hideContent(antiFlickerSelector) : () => {};
+  const budget = decisioningBudget ? { isExpired: false } : null;
+  eagerBudget = budget;
+  let step = 'holdout';
+
+  const decisions = (async () => {
+    ns.holdout = await getHoldout(pluginOptions, env);
+    env.holdout = ns.holdout;
+    if (ns.holdout?.isInHoldout) {
+      debug('visitor is in the holdout group', ns.holdout);
+    }
+    step = 'audiences';
+    ns.audiences = await serveAudience(document, pluginOptions, env);
+    step = 'experiments';
+    ns.experiments = await runExperiment(document, pluginOptions, env);
+    if (redirectedExperiment) {
+      const { experiment, variant } = redirectedExperiment;
+      debug('redirected from experiment', experiment, variant);
+      document.body.classList.add(`experiment-${experiment}`, `variant-${variant}`);
+      if (pluginOptions.trackingFunction) {
+        pluginOptions.trackingFunction('experiment', { source: experiment, target: variant });
+      }
+      ns.experiments.redirected = redirectedExperiment;
     }
-    : null;
-  ns.audience = ns.audiences?.page?.config
-    ? {
-      audiences: ns.audiences.page.config.configuredAudiences,
-      selectedAudience: ns.audiences.page.config.serveAudience,
-      ...(ns.audiences.page.servedExperience
-        ? { servedExperience: ns.audiences.page.servedExperience }
-        : {}),
+    ns.experiments.activities = await runTargetActivities(document, pluginOptions, env);
+    if (Array.isArray(ns.patchBlockConfig)) {
+      ns.patchBlockConfig.push(patchBlockConfig);
     }
-    : null;
+    step = 'campaigns';
+    ns.campaigns = await runCampaign(document, pluginOptions, env);
+
+    // Backward compatibility
+    ns.experiment = ns.experiments?.page?.config
+      ? {
+        ...ns.experiments.page.config,
+        ...(ns.experiments.page.servedExperience
+          ? { servedExperience: ns.experiments.page.servedExperience }
+          : {}),
+      }
+      : null;
+    ns.audience = ns.audiences?.page?.config
+      ? {
+        audiences: ns.audiences.page.config.configuredAudiences,
+        selectedAudience: ns.audiences.page.config.serveAudience,
+        ...(ns.audiences.page.servedExperience
+          ? { servedExperience: ns.audiences.page.servedExperience }
+          : {}),
+      }
+      : null;
+  })();
+
+  let timer;
+  const timeout = new Promise((resolve) => {
+    if (!budget) {
+      return;
+    }
+    timer = setTimeout(() => {
+      budget.isExpired = true;
+      debug(`decisions exceeded the ${decisioningBudget}ms budget, falling back to the control`, step);
+      if (pluginOptions.trackingFunction) {
+        pluginOptions.trackingFunction('decisioning-timeout', {
+          source: step,
+          target: `${decisioningBudget}`,
+        });
+      }
+      resolve();
+    }, decisioningBudget);
+  });
+  try {
+    await Promise.race([decisions, timeout]);
+  } finally {
+    clearTimeout(timer);
+    reveal();
+  }
 }
 
 export async function loadLazy(document, options = {}) {
@@ -151,6 +151,36 @@ function createToggleButton(label) {
   return button;
 }
 
+/**
+ * Escapes a value so it can be safely inserted in the overlay markup.
+ * @param {*} value The value to escape
+ * @returns {String} the escaped value
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Creates the "Why am I seeing this?" panel from the decision trace of a config.
+ * @param {Object[]} trace the list of checks and their outcome
+ * @returns {String} the panel's HTML
+ */
+function createTracePanel(trace) {
+  if (!trace?.length) {
+    return '';
+  }
+  return `
+    <details class="hlx-trace">
+      <summary>Why am I seeing this?</summary>
+      <ol>${trace.map((t) => `<li class="is-${escapeHtml(t.outcome)}"><code>${escapeHtml(t.check)}</code> ${escapeHtml(t.detail)}</li>`).join('')}</ol>
+    </details>`;
+}
+
 const percentformat = new Intl.NumberFormat('en-US', { style: 'percent', maximumSignificantDigits: 2 });
 const countformat = new Intl.NumberFormat('en-US', { maximumSignificantDigits: 2 });
 const significanceformat = {
@@ -193,7 +223,7 @@ function createVariant(experiment, variantName, config, options) {
     label: `<code>${variantName}</code>`,
     description: `
       <p>${variant.label}</p>
-      <p class="percentage">(${percentage} split)</p>
+      <p class="percentage">(${config.bandit ? 'adaptive' : percentage} split)</p>
       <p class="performance"></p>`,
     actions: [{ label: 'Simulate', href: experimentURL.href }],
     isSelected: selectedVariant === variantName,
@@ -365,12 +395,23 @@ async function decorateExperimentPill({ el, config }, container, options) {
       description: `
         <div class="hlx-details">
           ${config.status}
+          ${config.source === 'target' ? ', Adobe Target activity' : ''}
+          ${config.randomizationUnit === 'visitor' ? ', per visitor' : ''}
+          ${config.bandit ? `, ${config.bandit.algorithm} bandit` : ''}
+          ${config.trafficAllocation < 100 ? `, ${config.trafficAllocation}% traffic` : ''}
+          ${config.layer ? `, Layer: ${config.layer.id}` : ''}
+          ${config.rampStage ? `, Ramp-up: ${config.rampStage.percentage}% (stage ${config.rampStage.index}/${config.rampStage.total})` : ''}
+          ${config.isEnrolled === false ? ', Not enrolled' : ''}
+          ${config.isHoldout ? ', Holdout' : ''}
           ${config.resolvedAudiences ? ', ' : ''}
           ${config.resolvedAudiences && config.resolvedAudiences.length ? config.resolvedAudiences[0] : ''}
+          ${config.audiencesResolution?.cached.includes(config.resolvedAudiences?.[0]) ? ' (cached)' : ''}
           ${config.resolvedAudiences && !config.resolvedAudiences.length ? 'No audience resolved' : ''}
           ${config.variants[config.variantNames[0]].blocks?.length ? ', Blocks: ' : ''}
           ${config.variants[config.variantNames[0]].blocks?.join(',') || ''}
         </div>
+        ${config.errors?.length ? `<ul class="hlx-errors">${config.errors.map((e) => `<li><code>${escapeHtml(e.path)}</code> ${escapeHtml(e.message)}</li>`).join('')}</ul>` : ''}
+        ${createTracePanel(config.trace)}
         <div class="hlx-info">How is it going?</div>`,
       actions: [
         ...config.manifest ? [{ label: 'Manifest', href: config.manifest }] : [],
@@ -413,7 +454,9 @@ async function decorateExperimentPill({ el, config }, container, options) {
       },
     },
   );
-  if (config.run) {
+  if (config.errors?.length) {
+    pill.classList.add('is-error');
+  } else if (config.run) {
     pill.classList.add(`is-${toClassName(config.status)}`);
   }
   container.append(pill);
@@ -436,6 +479,7 @@ async function decorateExperimentPills(container, options) {
     ns.experiments.page ? [ns.experiments.page] : [],
     ns.experiments.sections,
     ns.experiments.fragments,
+    ns.experiments.activities || [],
   );
 
   return Promise.all(configs.map((c) => decorateExperimentPill(c, container, options)));
@@ -471,14 +515,18 @@ async function decorateCampaignPill({ el, config }, container, options) {
       description: `
         <div class="hlx-details">
           ${config.audiences.length && config.resolvedAudiences?.length ? `Audience: ${config.resolvedAudiences[0]}` : ''}
+          ${config.audiencesResolution?.cached.includes(config.resolvedAudiences?.[0]) ? ' (cached)' : ''}
           ${config.audiences.length && !config.resolvedAudiences?.length ? 'No audience resolved' : ''}
           ${!config.audiences.length || !config.resolvedAudiences ? 'No audience configured' : ''}
-        </div>`,
+          ${config.exposures ? `<br/>Impressions of <code>${config.exposures.campaign}</code>: ${config.exposures.impressions}${config.frequencyCap.impressions ? ` / ${config.frequencyCap.impressions}` : ''}${config.frequencyCap.days ? ` in ${config.frequencyCap.days} days` : ''}` : ''}
+          ${config.exposures?.lastConversion ? `, converted on ${new Date(config.exposures.lastConversion).toLocaleDateString()}` : ''}
+          ${config.isCapped ? ', Capped' : ''}
+        </div>
+        ${createTracePanel(config.trace)}`,
     },
     [
       createCampaign('default', !config.selectedCampaign || config.selectedCampaign === 'default', options),
       ...Object.keys(config.configuredCampaigns)
-        .filter((c) => c !== 'audience')
         .map((c) => createCampaign(c, config.selectedCampaign === c, options)),
     ],
     {
@@ -516,12 +564,12 @@ async function decorateCampaignPills(container, options) {
   return Promise.all(configs.map((c) => decorateCampaignPill(c, container, options)));
 }
 
-function createAudience(audience, isSelected, options) {
+function createAudience(audience, isSelected, options, isCached = false) {
   const url = new URL(window.location.href);
   url.searchParams.set(options.audiencesQueryParameter, audience);
 
   return {
-    label: `<code>${audience}</code>`,
+    label: `<code>${audience}</code>${isCached ? ' (cached)' : ''}`,
     actions: [{ label: 'Simulate', href: url.href }],
     isSelected,
   };
@@ -536,7 +584,8 @@ async function decorateAudiencesPill({ el, config }, container, options) {
     return;
   }
   const configuredAudienceNames = Object.keys(config.configuredAudiences);
-  if (!Object.keys(config.configuredAudiences).length || !Object.keys(options.audiences).length) {
+  // resolved audiences are `null` if the project does not define any audience
+  if (!Object.keys(config.configuredAudiences).length || !config.resolvedAudiences) {
     return;
   }
 
@@ -544,12 +593,18 @@ async function decorateAudiencesPill({ el, config }, container, options) {
     `Audience: ${config.selectedAudience || 'default'}`,
     {
       label: 'Audiences for this page:',
+      description: createTracePanel(config.trace),
     },
     [
       createAudience('default', !config.selectedAudience || config.selectedAudience === 'default', options),
       ...configuredAudienceNames
         .filter((a) => a !== 'audience')
-        .map((a) => createAudience(a, config.selectedAudience === a, options)),
+        .map((a) => createAudience(
+          a,
+          config.selectedAudience === a,
+          options,
+          config.audiencesResolution?.cached.includes(a),
+        )),
     ],
     {
       click: (ev) => {
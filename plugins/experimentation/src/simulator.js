@@ -0,0 +1,188 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import { createMemoryStorage } from './decisioning.js';
+import { ued } from './ued.js';
+
+// p-value under which we consider the observed split to be a sample ratio mismatch
+const SRM_THRESHOLD = 0.001;
+
+const DEFAULT_IDENTITY_NAMESPACE = 'FPID';
+
+/**
+ * Computes the natural logarithm of the gamma function (Lanczos approximation).
+ * @param {Number} x a positive number
+ * @returns {Number} ln(Γ(x))
+ */
+function logGamma(x) {
+  const coefficients = [
+    76.18009172947146, -86.5053203294168, 24.01409824083091,
+    -1.23173957245015, 0.1208650973866179e-2, -0.5395239384953e-5,
+  ];
+  const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+  const series = coefficients.reduce((sum, c, i) => sum + c / (x + i + 1), 1.00000000019001);
+  return -tmp + Math.log((2.506628274631 * series) / x);
+}
+
+/**
+ * Computes the regularized upper incomplete gamma function Q(a, x).
+ * @param {Number} a the shape
+ * @param {Number} x the upper bound
+ * @returns {Number} Q(a, x)
+ */
+function upperIncompleteGamma(a, x) {
+  if (x <= 0) {
+    return 1;
+  }
+  const prefix = Math.exp(-x + a * Math.log(x) - logGamma(a));
+  if (x < a + 1) {
+    // series expansion of P(a, x)
+    let term = 1 / a;
+    let sum = term;
+    for (let n = 1; n < 1000 && Math.abs(term) > Math.abs(sum) * 1e-14; n += 1) {
+      term *= x / (a + n);
+      sum += term;
+    }
+    return 1 - sum * prefix;
+  }
+  // continued fraction for Q(a, x) (modified Lentz's method)
+  let b = x + 1 - a;
+  let c = 1 / Number.MIN_VALUE;
+  let d = 1 / b;
+  let h = d;
+  for (let n = 1; n < 1000; n += 1) {
+    const an = -n * (n - a);
+    b += 2;
+    d = an * d + b;
+    d = Math.abs(d) < Number.MIN_VALUE ? Number.MIN_VALUE : d;
+    c = b + an / c;
+    c = Math.abs(c) < Number.MIN_VALUE ? Number.MIN_VALUE : c;
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+    if (Math.abs(delta - 1) < 1e-14) {
+      break;
+    }
+  }
+  return h * prefix;
+}
+
+/**
+ * Runs a chi-square goodness-of-fit test of the observed counts against the expected weights.
+ * @param {Number[]} observed the observed counts
+ * @param {Number[]} weights the expected relative weights (i.e. the allocation percentages)
+ * @returns {Object} the `chiSquare` statistic, the degrees of `freedom` and the `pValue`
+ */
+export function chiSquareTest(observed, weights) {
+  const total = observed.reduce((sum, o) => sum + o, 0);
+  const totalWeight = weights.reduce((sum, w) => sum + w, 0);
+  const chiSquare = observed.reduce((sum, o, i) => {
+    const expected = (total * weights[i]) / totalWeight;
+    return expected ? sum + ((o - expected) ** 2) / expected : sum;
+  }, 0);
+  const freedom = weights.filter((w) => w > 0).length - 1;
+  return {
+    chiSquare,
+    freedom,
+    pValue: freedom > 0 ? upperIncompleteGamma(freedom / 2, chiSquare / 2) : 1,
+  };
+}
+
+/**
+ * Runs synthetic visitors through a decision policy, and checks that each experiment delivers
+ * its configured split.
+ * @param {Object} policy the decision policy
+ * @param {Object} [options] the simulation options
+ * @param {Number} [options.visitors] the number of visitors, defaults to `10000`
+ * @param {String} [options.randomizationUnit] `DEVICE` or `VISITOR`, to override the unit of
+ * the experiments in the policy
+ * @param {String|Number} [options.seed] the seed for the random number generator
+ * @param {Object} [options.context] additional context for the evaluation, like `audiences`
+ * @returns {Object} the simulation report, with the observed `outcomes` and, for each
+ * experiment, the observed and expected allocation per treatment, and the SRM check results
+ */
+export function simulate(policy, options = {}) {
+  const {
+    visitors = 10000, randomizationUnit, seed = 'simulation', context = {},
+  } = options;
+  const simulatedPolicy = {
+    ...policy,
+    decisionNodes: policy.decisionNodes.map((node) => (node.type === 'EXPERIMENTATION'
+      ? {
+        ...node,
+        experiment: {
+          ...node.experiment,
+          identityNamespace: node.experiment.identityNamespace || DEFAULT_IDENTITY_NAMESPACE,
+          ...(randomizationUnit ? { randomizationUnit } : {}),
+        },
+      }
+      : node)),
+  };
+  const identityNamespaces = [...new Set(simulatedPolicy.decisionNodes
+    .filter((node) => node.type === 'EXPERIMENTATION')
+    .map((node) => node.experiment.identityNamespace))];
+  const random = ued.createSeededRandom(seed);
+  const outcomes = {};
+  const experiments = simulatedPolicy.decisionNodes
+    .filter((node) => node.type === 'EXPERIMENTATION')
+    .reduce((res, { experiment }) => {
+      res[experiment.id] = {
+        randomizationUnit: experiment.randomizationUnit || 'VISITOR',
+        isBandit: Boolean(experiment.bandit),
+        treatments: experiment.treatments.map((t) => ({
+          id: t.id,
+          allocationPercentage: t.allocationPercentage,
+          count: 0,
+        })),
+      };
+      return res;
+    }, {});
+
+  for (let i = 0; i < visitors; i += 1) {
+    // every visitor comes with a fresh device, and a distinct identity
+    const { items } = ued.evaluateDecisionPolicy(simulatedPolicy, {
+      ...context,
+      storage: createMemoryStorage(),
+      random,
+      identityMap: Object.fromEntries(identityNamespaces
+        .map((namespace) => [namespace, [{ id: `visitor-${seed}-${i}` }]])),
+    });
+    const key = items.length
+      ? items.map((item) => (item.experimentId ? `${item.experimentId}/${item.id}` : item.id)).join(', ')
+      : '(none)';
+    outcomes[key] = (outcomes[key] || 0) + 1;
+    items.filter((item) => item.experimentId).forEach((item) => {
+      experiments[item.experimentId].treatments.find((t) => t.id === item.id).count += 1;
+    });
+  }
+
+  Object.values(experiments).forEach((experiment) => {
+    const enrolled = experiment.treatments.reduce((sum, t) => sum + t.count, 0);
+    const totalWeight = experiment.treatments.reduce((sum, t) => sum + t.allocationPercentage, 0);
+    experiment.enrolled = enrolled;
+    experiment.treatments.forEach((t) => {
+      t.expected = enrolled ? t.allocationPercentage / totalWeight : 0;
+      t.observed = enrolled ? t.count / enrolled : 0;
+    });
+    // bandit allocations evolve over time, so there is no fixed split to check
+    if (experiment.isBandit) {
+      experiment.srm = null;
+      return;
+    }
+    experiment.srm = chiSquareTest(
+      experiment.treatments.map((t) => t.count),
+      experiment.treatments.map((t) => t.allocationPercentage),
+    );
+    experiment.srm.isMismatch = experiment.srm.pValue < SRM_THRESHOLD;
+  });
+
+  return { visitors, outcomes, experiments };
+}
@@ -0,0 +1,127 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/**
+ * The Adobe Target offer templates used by the Visual Experience Composer (VEC), by ID.
+ */
+const OFFER_TEMPLATES = {
+  // Replace content
+  101: (el, { offerContent = '' }) => {
+    el.innerHTML = offerContent;
+  },
+  // Set attribute
+  105: (el, { attribute, value = '' }) => {
+    el.setAttribute(attribute, value);
+  },
+  // Set style
+  107: (el, { property, value = '', priority = '' }) => {
+    el.style.setProperty(property, value, priority);
+  },
+};
+
+/**
+ * Checks whether a CSS selector is valid, so it can safely be used in the DOM queries.
+ * @param {String} selector The CSS selector
+ * @returns {Boolean} `true` if the selector is valid
+ */
+function isValidSelector(selector) {
+  try {
+    document.createDocumentFragment().querySelector(selector);
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Applies the modifications of a Target experience to the elements matching their selectors.
+ * Elements that are added to the page later on, like in lazy-loaded blocks, are modified as soon
+ * as they appear, until the timeout.
+ * @param {Object[]} modifications The modifications, each with a CSS `selector`, the offer
+ * `template` ID and the template `parameters`
+ * @param {HTMLElement} scope The element to watch for new matching elements
+ * @param {Function} log The function used to log debug messages
+ * @param {Number} timeout How long to watch for new matching elements, in milliseconds
+ * @returns {MutationObserver} the observer watching for new matching elements
+ */
+export function applyTargetModifications(modifications, scope, log = () => {}, timeout = 10000) {
+  const applicable = modifications.filter((modification) => {
+    if (!OFFER_TEMPLATES[modification.template]) {
+      log('unsupported Target offer template', modification.template);
+      return false;
+    }
+    if (!isValidSelector(modification.selector)) {
+      log('invalid Target selector', modification.selector);
+      return false;
+    }
+    return true;
+  });
+  const applied = new WeakMap();
+  const apply = () => {
+    applicable.forEach((modification) => {
+      scope.querySelectorAll(modification.selector).forEach((el) => {
+        if (!applied.has(el)) {
+          applied.set(el, new Set());
+        }
+        if (applied.get(el).has(modification)) {
+          return;
+        }
+        applied.get(el).add(modification);
+        OFFER_TEMPLATES[modification.template](el, modification.parameters);
+      });
+    });
+  };
+  apply();
+  const observer = new MutationObserver(apply);
+  if (applicable.length) {
+    observer.observe(scope, { childList: true, subtree: true });
+    // the page is stable by then, so we stop watching it
+    setTimeout(() => observer.disconnect(), timeout);
+  }
+  return observer;
+}
+
+/**
+ * Tracks the clicks on the elements matching the click-track selectors of the activity metrics
+ * as conversions. Each metric converts at most once per page view.
+ * @param {Object} config The Target activity config
+ * @param {Function} trackingFunction The function used to track the conversions
+ * @param {Function} log The function used to log debug messages
+ */
+export function trackClickConversions(config, trackingFunction, log = () => {}) {
+  const metrics = config.metrics
+    .map((metric) => ({
+      ...metric,
+      selectors: metric.selectors.filter((selector) => {
+        if (!isValidSelector(selector)) {
+          log('invalid Target click-track selector', selector);
+          return false;
+        }
+        return true;
+      }),
+    }))
+    .filter((metric) => metric.selectors.length);
+  if (!metrics.length || !trackingFunction) {
+    return;
+  }
+  const converted = new Set();
+  document.addEventListener('click', (ev) => {
+    metrics
+      .filter((metric) => !converted.has(metric.id))
+      .filter((metric) => metric.selectors
+        .some((selector) => ev.target.closest?.(selector)))
+      .forEach((metric) => {
+        converted.add(metric.id);
+        trackingFunction('convert', { source: config.id, target: metric.id });
+      });
+  }, { capture: true });
+}
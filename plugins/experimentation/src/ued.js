@@ -9,8 +9,35 @@
  * OF ANY KIND, either express or implied. See the License for the specific language
  * governing permissions and limitations under the License.
  */
+import { DecisionPolicyValidationError, validateDecisionPolicy } from './validator.js';
 
-var storage = window.sessionStorage;
+// The engine does not access any browser API, so it can also run in Node or at the edge:
+// the storage, the clock and the random number generator are provided by the caller in the context
+function createMemoryStorage() {
+  var values = {};
+  return {
+      getItem: function (key) { return Object.prototype.hasOwnProperty.call(values, key) ? values[key] : null; },
+      setItem: function (key, value) { values[key] = String(value); }
+  };
+}
+var storage = createMemoryStorage();
+var now = Date.now;
+var random = Math.random;
+var storageOptions = {};
+function configureEnvironment(context) {
+  storage = context.storage && typeof context.storage.getItem === 'function' && typeof context.storage.setItem === 'function'
+      ? context.storage
+      : createMemoryStorage();
+  now = typeof context.now === 'function' ? context.now : Date.now;
+  random = typeof context.random === 'function' ? context.random : Math.random;
+  storageOptions = {
+      experimentsKey: (context.storageKeys && context.storageKeys.experiments) || 'unified-decisioning-experiments',
+      bucketsKey: (context.storageKeys && context.storageKeys.buckets) || 'unified-decisioning-buckets',
+      offersKey: (context.storageKeys && context.storageKeys.offers) || 'unified-decisioning-offers',
+      campaignsKey: (context.storageKeys && context.storageKeys.campaigns) || 'unified-decisioning-campaigns',
+      ttl: typeof context.storageTtl === 'number' ? context.storageTtl : 30
+  };
+}
 
 function murmurhash3_32_gc(key, seed) {
   var remainder = key.length & 3;
@@ -57,6 +84,16 @@ function murmurhash3_32_gc(key, seed) {
 }
 
 var TOTAL_BUCKETS = 10000;
+// mulberry32, seeded with the hash of the given seed
+function createSeededRandom(seed) {
+  var state = murmurhash3_32_gc(String(seed), 0);
+  return function () {
+      state = (state + 0x6D2B79F5) | 0;
+      var t = Math.imul(state ^ (state >>> 15), 1 | state);
+      t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
 function getBucket(saltedId) {
   var hash = murmurhash3_32_gc(saltedId, 0);
   var hashFixedBucket = Math.abs(hash) % TOTAL_BUCKETS;
@@ -64,121 +101,451 @@ function getBucket(saltedId) {
   return bucket;
 }
 function pickWithWeightsBucket(allocationPercentages, treatments, bucket) {
-  var sum = allocationPercentages.reduce(function (partialSum, a) { return partialSum + a; }, 0);
+  var weights = allocationPercentages.map(function (a) { return Number(a.toFixed(2)); });
+  // normalize with the rounded weights, so the last range always ends at 1
+  var sum = weights.reduce(function (partialSum, a) { return partialSum + a; }, 0);
   var partialSum = 0.0;
   for (var i = 0; i < treatments.length; i++) {
-      partialSum += Number(allocationPercentages[i].toFixed(2)) / sum;
+      partialSum += weights[i] / sum;
       if (bucket > partialSum) {
           continue;
       }
       return treatments[i];
   }
+  return treatments[treatments.length - 1];
 }
+// How the treatment was picked, so we can explain the decision
+var AssignmentSource = {
+  IDENTITY: 'IDENTITY',
+  RANDOM: 'RANDOM',
+  STORAGE: 'STORAGE'
+};
 function assignTreatmentByVisitor(experimentid, identityId, allocationPercentages, treatments) {
   var saltedId = experimentid + '.' + identityId;
   var bucketId = getBucket(saltedId);
   var treatmentId = pickWithWeightsBucket(allocationPercentages, treatments, bucketId);
   return {
       treatmentId: treatmentId,
-      bucketId: bucketId
+      bucketId: bucketId,
+      source: AssignmentSource.IDENTITY
   };
 }
 
-var LOCAL_STORAGE_KEY = 'unified-decisioning-experiments';
 function assignTreatment(allocationPercentages, treatments) {
-  var random = Math.random() * 100;
+  var sum = allocationPercentages.reduce(function (partialSum, a) { return partialSum + +a; }, 0);
+  var draw = random() * sum;
   var i = treatments.length;
-  while (random > 0 && i > 0) {
+  while (draw > 0 && i > 0) {
       i -= 1;
-      random -= +allocationPercentages[i];
+      draw -= +allocationPercentages[i];
   }
-  return treatments[i];
+  // a draw of exactly 0 falls in the last treatment
+  return treatments[Math.min(i, treatments.length - 1)];
 }
-function getLastExperimentTreatment(experimentId) {
-  var experimentsStr = storage.getItem(LOCAL_STORAGE_KEY);
+function getLastExperimentTreatment(experimentId, treatments) {
+  var experimentsStr = storage.getItem(storageOptions.experimentsKey);
   if (experimentsStr) {
       var experiments = JSON.parse(experimentsStr);
-      if (experiments[experimentId]) {
-          return experiments[experimentId].treatment;
+      var experiment = experiments[experimentId];
+      if (!experiment || !treatments.includes(experiment.treatment)) {
+          return null;
+      }
+      // the variant list changed since the assignment, so we need to reassign the visitor
+      if (experiment.treatments && experiment.treatments !== treatments.join(',')) {
+          return null;
       }
+      return experiment.treatment;
   }
   return null;
 }
-function setLastExperimentTreatment(experimentId, treatment) {
-  var experimentsStr = storage.getItem(LOCAL_STORAGE_KEY);
+function setLastExperimentTreatment(experimentId, treatment, treatments) {
+  var experimentsStr = storage.getItem(storageOptions.experimentsKey);
   var experiments = experimentsStr ? JSON.parse(experimentsStr) : {};
-  var now = new Date();
+  var today = new Date(now());
   var expKeys = Object.keys(experiments);
   expKeys.forEach(function (key) {
       var date = new Date(experiments[key].date);
-      if ((now.getTime() - date.getTime()) > (1000 * 86400 * 30)) {
+      if ((today.getTime() - date.getTime()) > (1000 * 86400 * storageOptions.ttl)) {
           delete experiments[key];
       }
   });
-  var date = now.toISOString().split('T')[0];
-  experiments[experimentId] = { treatment: treatment, date: date };
-  storage.setItem(LOCAL_STORAGE_KEY, JSON.stringify(experiments));
+  var date = today.toISOString().split('T')[0];
+  experiments[experimentId] = { treatment: treatment, treatments: treatments.join(','), date: date };
+  storage.setItem(storageOptions.experimentsKey, JSON.stringify(experiments));
 }
 function assignTreatmentByDevice(experimentId, allocationPercentages, treatments) {
-  var cachedTreatmentId = getLastExperimentTreatment(experimentId);
+  var cachedTreatmentId = getLastExperimentTreatment(experimentId, treatments);
   var treatmentIdResponse;
-  if (!cachedTreatmentId || !treatments.includes(cachedTreatmentId)) {
+  if (!cachedTreatmentId) {
       var assignedTreatmentId = assignTreatment(allocationPercentages, treatments);
-      setLastExperimentTreatment(experimentId, assignedTreatmentId);
+      setLastExperimentTreatment(experimentId, assignedTreatmentId, treatments);
       treatmentIdResponse = assignedTreatmentId;
   }
   else {
       treatmentIdResponse = cachedTreatmentId;
   }
   return {
-      treatmentId: treatmentIdResponse
+      treatmentId: treatmentIdResponse,
+      source: cachedTreatmentId ? AssignmentSource.STORAGE : AssignmentSource.RANDOM
   };
 }
 
+function sampleNormal() {
+  var u = 1 - random();
+  var v = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+// Marsaglia and Tsang's method
+function sampleGamma(shape) {
+  if (shape < 1) {
+      return sampleGamma(shape + 1) * Math.pow(random(), 1 / shape);
+  }
+  var d = shape - 1 / 3;
+  var c = 1 / Math.sqrt(9 * d);
+  while (true) {
+      var x = sampleNormal();
+      var v = Math.pow(1 + c * x, 3);
+      if (v <= 0) {
+          continue;
+      }
+      var u = random();
+      if (Math.log(u) < 0.5 * x * x + d - d * v + d * Math.log(v)) {
+          return d * v;
+      }
+  }
+}
+function sampleBeta(alpha, beta) {
+  var x = sampleGamma(alpha);
+  var y = sampleGamma(beta);
+  return x / (x + y);
+}
+
+var BanditAlgorithm = {
+  THOMPSON_SAMPLING: 'THOMPSON_SAMPLING',
+  EPSILON_GREEDY: 'EPSILON_GREEDY'
+};
+var THOMPSON_SAMPLING_DRAWS = 1000;
+var DEFAULT_EPSILON = 0.1;
+function getTreatmentStats(treatment) {
+  var stats = treatment.stats || {};
+  var impressions = Math.max(Number(stats.impressions) || 0, 0);
+  var conversions = Math.min(Math.max(Number(stats.conversions) || 0, 0), impressions);
+  return { impressions: impressions, conversions: conversions };
+}
+function getThompsonSamplingAllocations(treatments) {
+  var stats = treatments.map(getTreatmentStats);
+  var wins = treatments.map(function () { return 0; });
+  for (var i = 0; i < THOMPSON_SAMPLING_DRAWS; i++) {
+      var best = 0;
+      var bestSample = -1;
+      for (var j = 0; j < stats.length; j++) {
+          var sample = sampleBeta(1 + stats[j].conversions, 1 + stats[j].impressions - stats[j].conversions);
+          if (sample > bestSample) {
+              bestSample = sample;
+              best = j;
+          }
+      }
+      wins[best] += 1;
+  }
+  return wins.map(function (w) { return (w / THOMPSON_SAMPLING_DRAWS) * 100; });
+}
+function getEpsilonGreedyAllocations(treatments, epsilon) {
+  var rates = treatments.map(getTreatmentStats).map(function (s) {
+      return s.impressions ? s.conversions / s.impressions : 0;
+  });
+  var bestRate = Math.max.apply(null, rates);
+  var nbOfBest = rates.filter(function (r) { return r === bestRate; }).length;
+  return rates.map(function (r) {
+      var exploration = (epsilon / treatments.length) * 100;
+      return r === bestRate ? exploration + ((1 - epsilon) / nbOfBest) * 100 : exploration;
+  });
+}
+function getBanditAllocations(bandit, treatments) {
+  switch (bandit.algorithm) {
+      case BanditAlgorithm.THOMPSON_SAMPLING:
+          return getThompsonSamplingAllocations(treatments);
+      case BanditAlgorithm.EPSILON_GREEDY: {
+          var epsilon = Number(bandit.epsilon);
+          return getEpsilonGreedyAllocations(treatments, Number.isNaN(epsilon) || bandit.epsilon === undefined ? DEFAULT_EPSILON : Math.min(Math.max(epsilon, 0), 1));
+      }
+      default:
+          throw new Error("Unknown bandit algorithm");
+  }
+}
+
 var RandomizationUnit = {
   VISITOR: 'VISITOR',
   DEVICE: 'DEVICE'
 };
-function evaluateExperiment(context, experiment) {
+function getTrafficBucket(context, experiment, salt) {
+  var identityMap = context.identityMap || {};
+  var identities = identityMap[experiment.identityNamespace];
+  if (experiment.randomizationUnit !== RandomizationUnit.DEVICE && identities && identities.length && identities[0].id) {
+      return getBucket(salt + '.' + identities[0].id);
+  }
+  var bucketsStr = storage.getItem(storageOptions.bucketsKey);
+  var buckets = bucketsStr ? JSON.parse(bucketsStr) : {};
+  if (typeof buckets[salt] !== 'number') {
+      buckets[salt] = random();
+      storage.setItem(storageOptions.bucketsKey, JSON.stringify(buckets));
+  }
+  return buckets[salt];
+}
+function getRampStage(rampSchedule, time) {
+  if (time === void 0) { time = now(); }
+  var stages = rampSchedule
+      .map(function (stage) { return { startTime: new Date(stage.startDate).getTime(), percentage: stage.percentage }; })
+      .sort(function (a, b) { return a.startTime - b.startTime; });
+  var currentStage = { index: 0, total: stages.length, percentage: 0 };
+  stages.forEach(function (stage, i) {
+      if (stage.startTime <= time) {
+          currentStage = { index: i + 1, total: stages.length, percentage: stage.percentage };
+      }
+  });
+  return currentStage;
+}
+// Experiments in the same layer share the same hash space, and each one only enrolls visitors
+// that fall in its own [offset, offset + trafficAllocation) range, so that a visitor
+// is in at most one experiment per layer
+function isEnrolledInExperiment(context, experiment) {
+  var _a = experiment.trafficAllocation, trafficAllocation = _a === void 0 ? 100 : _a, layer = experiment.layer;
+  // ramping up only ever extends the enrolled range, so enrolled visitors are never reshuffled
+  if (experiment.rampSchedule && experiment.rampSchedule.length) {
+      trafficAllocation = trafficAllocation * getRampStage(experiment.rampSchedule).percentage / 100;
+  }
+  if (!layer && trafficAllocation >= 100) {
+      return true;
+  }
+  var offset = layer && layer.offset ? layer.offset : 0;
+  var salt = layer ? 'layer.' + layer.id : experiment.id + '.traffic';
+  var bucket = getTrafficBucket(context, experiment, salt) * 100;
+  return bucket >= offset && bucket < offset + trafficAllocation;
+}
+function assignTreatmentByUnit(context, experiment, allocationPercentages, treatments) {
   var experimentId = experiment.id, identityNamespace = experiment.identityNamespace, _a = experiment.randomizationUnit, randomizationUnit = _a === void 0 ? RandomizationUnit.VISITOR : _a;
-  var identityMap = context.identityMap;
-  var treatments = experiment.treatments.map(function (item) { return item.id; });
-  var allocationPercentages = experiment.treatments.map(function (item) { return item.allocationPercentage; });
-  var treatmentAssignment = null;
+  var identityMap = context.identityMap || {};
   switch (randomizationUnit) {
       case RandomizationUnit.VISITOR: {
-          var identityId = identityMap[identityNamespace][0].id;
-          treatmentAssignment = assignTreatmentByVisitor(experimentId, identityId, allocationPercentages, treatments);
-          break;
-      }
-      case RandomizationUnit.DEVICE: {
-          treatmentAssignment = assignTreatmentByDevice(experimentId, allocationPercentages, treatments);
-          break;
+          var identities = identityMap[identityNamespace];
+          // fall back to a device-level assignment if we cannot identify the visitor
+          if (!identities || !identities.length || !identities[0].id) {
+              return assignTreatmentByDevice(experimentId, allocationPercentages, treatments);
+          }
+          var identityId = identities[0].id;
+          return assignTreatmentByVisitor(experimentId, identityId, allocationPercentages, treatments);
       }
+      case RandomizationUnit.DEVICE:
+          return assignTreatmentByDevice(experimentId, allocationPercentages, treatments);
       default:
           throw new Error("Unknow randomization unit");
   }
+}
+function evaluateExperiment(context, experiment) {
+  var experimentId = experiment.id;
+  var treatments = experiment.treatments.map(function (item) { return item.id; });
+  var treatmentAssignment = null;
+  if (!isEnrolledInExperiment(context, experiment)) {
+      return {
+          experimentId: experimentId,
+          treatment: null
+      };
+  }
+  if (experiment.bandit) {
+      // bandit allocations evolve over time, so we keep existing assignments sticky
+      var cachedTreatmentId = getLastExperimentTreatment(experimentId, treatments);
+      if (cachedTreatmentId) {
+          treatmentAssignment = { treatmentId: cachedTreatmentId, source: AssignmentSource.STORAGE };
+      }
+      else {
+          var banditAllocations = getBanditAllocations(experiment.bandit, experiment.treatments);
+          treatmentAssignment = assignTreatmentByUnit(context, experiment, banditAllocations, treatments);
+          setLastExperimentTreatment(experimentId, treatmentAssignment.treatmentId, treatments);
+      }
+  }
+  else {
+      var allocationPercentages = experiment.treatments.map(function (item) { return item.allocationPercentage; });
+      treatmentAssignment = assignTreatmentByUnit(context, experiment, allocationPercentages, treatments);
+  }
   var evaluationResponse = {
       experimentId: experimentId,
       hashedBucket: treatmentAssignment.bucketId,
       treatment: {
-          id: treatmentAssignment.treatmentId
+          id: treatmentAssignment.treatmentId,
+          experimentId: experimentId,
+          assignmentSource: treatmentAssignment.source
       }
   };
   return evaluationResponse;
 }
 
-function traverseDecisionTree(decisionNodesMap, context, currentNodeId) {
-  var _a = decisionNodesMap[currentNodeId], experiment = _a.experiment, type = _a.type;
-  if (type === 'EXPERIMENTATION') {
-      var treatment = evaluateExperiment(context, experiment).treatment;
-      return [treatment];
+var ConditionOperator = {
+  EQUALS: 'EQUALS',
+  NOT_EQUALS: 'NOT_EQUALS',
+  IN: 'IN',
+  CONTAINS: 'CONTAINS',
+  MATCHES: 'MATCHES',
+  EXISTS: 'EXISTS'
+};
+function evaluateAttributeCondition(context, condition) {
+  var attributes = context.attributes || {};
+  var value = attributes[condition.attribute];
+  var _a = condition.operator, operator = _a === void 0 ? ConditionOperator.EQUALS : _a;
+  switch (operator) {
+      case ConditionOperator.EQUALS:
+          return value === condition.value;
+      case ConditionOperator.NOT_EQUALS:
+          return value !== condition.value;
+      case ConditionOperator.IN:
+          return [].concat(condition.value).includes(value);
+      case ConditionOperator.CONTAINS:
+          return value !== undefined && value !== null && String(value).includes(condition.value);
+      case ConditionOperator.MATCHES:
+          return value !== undefined && value !== null && new RegExp(condition.value).test(String(value));
+      case ConditionOperator.EXISTS:
+          return value !== undefined && value !== null;
+      default:
+          throw new Error("Unknown condition operator: " + operator);
+  }
+}
+function evaluateCondition(context, condition) {
+  if (!condition) {
+      return true;
+  }
+  if (condition.and) {
+      return condition.and.every(function (c) { return evaluateCondition(context, c); });
+  }
+  if (condition.or) {
+      return condition.or.some(function (c) { return evaluateCondition(context, c); });
+  }
+  if (condition.not) {
+      return !evaluateCondition(context, condition.not);
+  }
+  if (condition.audience || condition.audiences) {
+      var resolvedAudiences = context.audiences || [];
+      var audiences = [].concat(condition.audience || condition.audiences);
+      return audiences.some(function (a) { return resolvedAudiences.includes(a); });
+  }
+  if (condition.attribute) {
+      return evaluateAttributeCondition(context, condition);
+  }
+  throw new Error("Unknown condition: " + JSON.stringify(condition));
+}
+function evaluateTargeting(context, targeting) {
+  var rules = targeting.rules || [];
+  for (var i = 0; i < rules.length; i++) {
+      if (evaluateCondition(context, rules[i].condition)) {
+          return rules[i].next;
+      }
+  }
+  return targeting.defaultNext;
+}
+
+// The exposure ledger remembers when the visitor saw (and converted on) offers and campaigns,
+// so that frequency caps and cooldowns can be enforced. Each entry is kept for the longest of
+// the storage TTL, its cap period and its cooldown
+function getExposureLedger(name) {
+  var ledgerStr = storage.getItem(storageOptions[name + 'Key']);
+  return ledgerStr ? JSON.parse(ledgerStr) : {};
+}
+function saveExposureLedger(name, ledger, time) {
+  Object.keys(ledger).forEach(function (id) {
+      var entry = ledger[id];
+      var maxAge = 1000 * 86400 * (entry.retention || storageOptions.ttl);
+      entry.impressions = (entry.impressions || []).filter(function (t) { return time - t < maxAge; });
+      if (entry.conversion && time - entry.conversion >= maxAge) {
+          delete entry.conversion;
+      }
+      if (!entry.impressions.length && !entry.conversion) {
+          delete ledger[id];
+      }
+  });
+  storage.setItem(storageOptions[name + 'Key'], JSON.stringify(ledger));
+}
+function getExposure(ledger, id, cap, time) {
+  var entry = ledger[id] || {};
+  var days = cap && cap.days !== void 0 ? cap.days : storageOptions.ttl;
+  var impressions = (entry.impressions || []).filter(function (t) { return time - t < 1000 * 86400 * days; }).length;
+  var isCoolingDown = Boolean(cap && cap.cooldown && entry.conversion && time - entry.conversion < 1000 * 86400 * cap.cooldown);
+  return {
+      impressions: impressions,
+      lastConversion: entry.conversion ? new Date(entry.conversion).toISOString() : null,
+      isCapped: Boolean(cap && cap.impressions && impressions >= cap.impressions) || isCoolingDown
+  };
+}
+function addImpression(ledger, id, cap, time) {
+  var entry = ledger[id] || (ledger[id] = { impressions: [] });
+  entry.impressions = (entry.impressions || []).concat(time);
+  entry.retention = Math.max(storageOptions.ttl, (cap && cap.days) || 0, (cap && cap.cooldown) || 0);
+}
+
+// Offers are ranked by priority (and by their order in the list for equal priorities),
+// after dropping the ones the visitor is not eligible for, or has already seen too often
+function evaluateOfferSelection(context, offerSelection) {
+  var ledger = getExposureLedger('offers');
+  var time = now();
+  var _a = offerSelection.limit, limit = _a === void 0 ? 1 : _a;
+  var offers = offerSelection.offers
+      .map(function (offer, index) { return { offer: offer, index: index }; })
+      .filter(function (item) {
+          return evaluateCondition(context, item.offer.condition)
+              && !(item.offer.cap && getExposure(ledger, item.offer.id, item.offer.cap, time).isCapped);
+      })
+      .sort(function (a, b) { return ((b.offer.priority || 0) - (a.offer.priority || 0)) || (a.index - b.index); })
+      .slice(0, limit)
+      .map(function (item) { return item.offer; });
+  // only capped offers need to be counted
+  offers.filter(function (offer) { return offer.cap; }).forEach(function (offer) {
+      addImpression(ledger, offer.id, offer.cap, time);
+  });
+  saveExposureLedger('offers', ledger, time);
+  return offers;
+}
+
+var DecisionNodeType = {
+  EXPERIMENTATION: 'EXPERIMENTATION',
+  TARGETING: 'TARGETING',
+  CONTENT: 'CONTENT',
+  OFFER: 'OFFER',
+  OFFER_SELECTION: 'OFFER_SELECTION'
+};
+function traverseDecisionTree(decisionNodesMap, context, currentNodeId, visitedNodeIds) {
+  if (visitedNodeIds === void 0) { visitedNodeIds = []; }
+  if (!decisionNodesMap[currentNodeId]) {
+      throw new Error("Unknown decision node: " + currentNodeId);
+  }
+  if (visitedNodeIds.includes(currentNodeId)) {
+      throw new Error("Cyclic decision tree at node: " + currentNodeId);
+  }
+  visitedNodeIds.push(currentNodeId);
+  var _a = decisionNodesMap[currentNodeId], experiment = _a.experiment, targeting = _a.targeting, type = _a.type;
+  switch (type) {
+      case DecisionNodeType.EXPERIMENTATION: {
+          var treatment = evaluateExperiment(context, experiment).treatment;
+          return treatment ? [treatment] : [];
+      }
+      case DecisionNodeType.TARGETING: {
+          var nextNodeId = evaluateTargeting(context, targeting);
+          if (!nextNodeId) {
+              return [];
+          }
+          return traverseDecisionTree(decisionNodesMap, context, nextNodeId, visitedNodeIds);
+      }
+      case DecisionNodeType.CONTENT:
+          return [decisionNodesMap[currentNodeId].content];
+      case DecisionNodeType.OFFER:
+          return [decisionNodesMap[currentNodeId].offer];
+      case DecisionNodeType.OFFER_SELECTION:
+          return evaluateOfferSelection(context, decisionNodesMap[currentNodeId].offerSelection);
+      default:
+          return undefined;
   }
 }
 function evaluateDecisionPolicy(decisionPolicy, context) {
-  if (context.storage && context.storage instanceof Storage) {
-    storage = context.storage;
+  var errors = validateDecisionPolicy(decisionPolicy);
+  if (errors.length) {
+      throw new DecisionPolicyValidationError(errors);
   }
+  configureEnvironment(context);
   var decisionNodesMap = {};
   decisionPolicy.decisionNodes.forEach(function (item) {
       decisionNodesMap[item['id']] = item;
@@ -189,4 +556,41 @@ function evaluateDecisionPolicy(decisionPolicy, context) {
   };
 }
 
-export const ued = { evaluateDecisionPolicy };
+function evaluateHoldout(holdout, context) {
+  configureEnvironment(context);
+  var bucket = getTrafficBucket(context, holdout, 'holdout.' + holdout.id) * 100;
+  return {
+      holdoutId: holdout.id,
+      isInHoldout: bucket < holdout.percentage
+  };
+}
+
+function evaluateFrequencyCap(context, ledgerName, id, cap) {
+  configureEnvironment(context);
+  return getExposure(getExposureLedger(ledgerName), id, cap, now());
+}
+function recordImpression(context, ledgerName, id, cap) {
+  configureEnvironment(context);
+  var ledger = getExposureLedger(ledgerName);
+  var time = now();
+  addImpression(ledger, id, cap, time);
+  saveExposureLedger(ledgerName, ledger, time);
+}
+function recordConversion(context, ledgerName, id) {
+  configureEnvironment(context);
+  var ledger = getExposureLedger(ledgerName);
+  var time = now();
+  var entry = ledger[id] || (ledger[id] = { impressions: [] });
+  entry.conversion = time;
+  saveExposureLedger(ledgerName, ledger, time);
+}
+
+export const ued = {
+  createSeededRandom,
+  evaluateDecisionPolicy,
+  evaluateFrequencyCap,
+  evaluateHoldout,
+  getRampStage,
+  recordConversion,
+  recordImpression,
+};
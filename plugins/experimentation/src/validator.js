@@ -0,0 +1,321 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+const PERCENTAGE = { type: 'number', minimum: 0, maximum: 100 };
+
+/**
+ * The schema for the decision policy format.
+ * It uses a small subset of JSON Schema (`type`, `required`, `properties`, `items`, `enum`,
+ * `minimum`, `maximum`, `minItems`), and a `discriminator` keyword to pick the node schema
+ * based on its `type`.
+ */
+export const DECISION_POLICY_SCHEMA = {
+  type: 'object',
+  required: ['rootDecisionNodeId', 'decisionNodes'],
+  properties: {
+    id: { type: 'string' },
+    rootDecisionNodeId: { type: 'string' },
+    decisionNodes: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['id', 'type'],
+        properties: {
+          id: { type: 'string' },
+          type: { type: 'string', enum: ['EXPERIMENTATION', 'TARGETING', 'CONTENT', 'OFFER', 'OFFER_SELECTION'] },
+        },
+        discriminator: {
+          propertyName: 'type',
+          mapping: {
+            EXPERIMENTATION: {
+              required: ['experiment'],
+              properties: {
+                experiment: {
+                  type: 'object',
+                  required: ['id', 'treatments'],
+                  properties: {
+                    id: { type: 'string' },
+                    identityNamespace: { type: 'string' },
+                    randomizationUnit: { type: 'string', enum: ['VISITOR', 'DEVICE'] },
+                    trafficAllocation: PERCENTAGE,
+                    layer: {
+                      type: 'object',
+                      required: ['id'],
+                      properties: {
+                        id: { type: 'string' },
+                        offset: PERCENTAGE,
+                      },
+                    },
+                    rampSchedule: {
+                      type: 'array',
+                      items: {
+                        type: 'object',
+                        required: ['startDate', 'percentage'],
+                        properties: {
+                          startDate: { type: 'string' },
+                          percentage: PERCENTAGE,
+                        },
+                      },
+                    },
+                    bandit: {
+                      type: 'object',
+                      required: ['algorithm'],
+                      properties: {
+                        algorithm: { type: 'string', enum: ['THOMPSON_SAMPLING', 'EPSILON_GREEDY'] },
+                        epsilon: { type: 'number', minimum: 0, maximum: 1 },
+                      },
+                    },
+                    treatments: {
+                      type: 'array',
+                      minItems: 1,
+                      items: {
+                        type: 'object',
+                        required: ['id', 'allocationPercentage'],
+                        properties: {
+                          id: { type: 'string' },
+                          allocationPercentage: PERCENTAGE,
+                          stats: { type: 'object' },
+                        },
+                      },
+                    },
+                  },
+                },
+              },
+            },
+            TARGETING: {
+              required: ['targeting'],
+              properties: {
+                targeting: {
+                  type: 'object',
+                  required: ['rules'],
+                  properties: {
+                    rules: {
+                      type: 'array',
+                      items: {
+                        type: 'object',
+                        required: ['next'],
+                        properties: {
+                          condition: { type: 'object' },
+                          next: { type: 'string' },
+                        },
+                      },
+                    },
+                    defaultNext: { type: 'string' },
+                  },
+                },
+              },
+            },
+            CONTENT: {
+              required: ['content'],
+              properties: {
+                content: { type: 'object', required: ['id'] },
+              },
+            },
+            OFFER: {
+              required: ['offer'],
+              properties: {
+                offer: { type: 'object', required: ['id'] },
+              },
+            },
+            OFFER_SELECTION: {
+              required: ['offerSelection'],
+              properties: {
+                offerSelection: {
+                  type: 'object',
+                  required: ['offers'],
+                  properties: {
+                    limit: { type: 'number', minimum: 1 },
+                    offers: {
+                      type: 'array',
+                      items: {
+                        type: 'object',
+                        required: ['id'],
+                        properties: {
+                          id: { type: 'string' },
+                          priority: { type: 'number' },
+                          condition: { type: 'object' },
+                          cap: {
+                            type: 'object',
+                            properties: {
+                              impressions: { type: 'number', minimum: 1 },
+                              days: { type: 'number', minimum: 0 },
+                              cooldown: { type: 'number', minimum: 0 },
+                            },
+                          },
+                        },
+                      },
+                    },
+                  },
+                },
+              },
+            },
+          },
+        },
+      },
+    },
+  },
+};
+
+/**
+ * The error thrown when evaluating an invalid decision policy.
+ */
+export class DecisionPolicyValidationError extends Error {
+  /**
+   * @param {Object[]} errors The list of validation errors
+   */
+  constructor(errors) {
+    super(`Invalid decision policy: ${errors.map((e) => `${e.path}: ${e.message}`).join('; ')}`);
+    this.name = 'DecisionPolicyValidationError';
+    this.errors = errors;
+  }
+}
+
+function getType(value) {
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  if (value === null) {
+    return 'null';
+  }
+  if (typeof value === 'number' && Number.isNaN(value)) {
+    return 'NaN';
+  }
+  return typeof value;
+}
+
+/**
+ * Validates a value against a schema.
+ * @param {*} value The value to validate
+ * @param {Object} schema The schema
+ * @param {String} path The path to the value, used in the error messages
+ * @param {Object[]} errors The list the errors are added to
+ */
+function validateSchema(value, schema, path, errors) {
+  const type = getType(value);
+  if (schema.type && type !== schema.type) {
+    errors.push({ code: 'INVALID_TYPE', path, message: `Expected ${schema.type}, but got ${type}` });
+    return;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ code: 'INVALID_VALUE', path, message: `Expected one of ${schema.enum.join(', ')}, but got "${value}"` });
+    return;
+  }
+  if (type === 'number'
+    && ((schema.minimum !== undefined && value < schema.minimum)
+      || (schema.maximum !== undefined && value > schema.maximum))) {
+    errors.push({ code: 'OUT_OF_RANGE', path, message: `Expected a value between ${schema.minimum} and ${schema.maximum}, but got ${value}` });
+  }
+  if (type === 'array') {
+    if (schema.minItems && value.length < schema.minItems) {
+      errors.push({ code: 'MISSING_ITEMS', path, message: `Expected at least ${schema.minItems} item(s)` });
+    }
+    if (schema.items) {
+      value.forEach((item, i) => validateSchema(item, schema.items, `${path}[${i}]`, errors));
+    }
+  }
+  if (type === 'object') {
+    const subSchema = schema.discriminator
+      ? schema.discriminator.mapping[value[schema.discriminator.propertyName]]
+      : null;
+    [schema, ...(subSchema ? [subSchema] : [])].forEach((s) => {
+      (s.required || [])
+        .filter((key) => value[key] === undefined)
+        .forEach((key) => {
+          errors.push({ code: 'MISSING_PROPERTY', path: `${path}.${key}`, message: 'Missing required property' });
+        });
+      Object.entries(s.properties || {})
+        .filter(([key]) => value[key] !== undefined)
+        .forEach(([key, propSchema]) => validateSchema(value[key], propSchema, `${path}.${key}`, errors));
+    });
+  }
+}
+
+function findDuplicates(values) {
+  return values.filter((value, i) => values.indexOf(value) !== i);
+}
+
+/**
+ * Checks the constraints that cannot be expressed in the schema: unique IDs, references between
+ * nodes, allocations that add up to 100% and acyclic decision trees.
+ * @param {Object} policy The decision policy
+ * @param {Object[]} errors The list the errors are added to
+ */
+function validateSemantics(policy, errors) {
+  const nodeIds = policy.decisionNodes.map((node) => node.id);
+  findDuplicates(nodeIds).forEach((id) => {
+    errors.push({ code: 'DUPLICATE_NODE_ID', path: '$.decisionNodes', message: `Duplicate decision node "${id}"` });
+  });
+  if (!nodeIds.includes(policy.rootDecisionNodeId)) {
+    errors.push({ code: 'UNKNOWN_NODE_REFERENCE', path: '$.rootDecisionNodeId', message: `Unknown decision node "${policy.rootDecisionNodeId}"` });
+  }
+
+  const nodesMap = {};
+  policy.decisionNodes.forEach((node, i) => {
+    nodesMap[node.id] = node;
+    const path = `$.decisionNodes[${i}]`;
+    if (node.type === 'EXPERIMENTATION') {
+      const { treatments, bandit } = node.experiment;
+      findDuplicates(treatments.map((t) => t.id)).forEach((id) => {
+        errors.push({ code: 'DUPLICATE_TREATMENT_ID', path: `${path}.experiment.treatments`, message: `Duplicate treatment "${id}"` });
+      });
+      const sum = treatments.reduce((total, t) => total + t.allocationPercentage, 0);
+      // bandit experiments compute their own allocations
+      if (!bandit && Math.abs(sum - 100) > 0.01) {
+        errors.push({ code: 'INVALID_ALLOCATION', path: `${path}.experiment.treatments`, message: `Allocation percentages add up to ${sum} instead of 100` });
+      }
+    } else if (node.type === 'OFFER_SELECTION') {
+      findDuplicates(node.offerSelection.offers.map((o) => o.id)).forEach((id) => {
+        errors.push({ code: 'DUPLICATE_OFFER_ID', path: `${path}.offerSelection.offers`, message: `Duplicate offer "${id}"` });
+      });
+    } else if (node.type === 'TARGETING') {
+      const { rules, defaultNext } = node.targeting;
+      [...rules.map((r, j) => [r.next, `${path}.targeting.rules[${j}].next`]),
+        ...(defaultNext ? [[defaultNext, `${path}.targeting.defaultNext`]] : [])]
+        .filter(([next]) => !nodeIds.includes(next))
+        .forEach(([next, nextPath]) => {
+          errors.push({ code: 'UNKNOWN_NODE_REFERENCE', path: nextPath, message: `Unknown decision node "${next}"` });
+        });
+    }
+  });
+
+  const visit = (id, ancestors) => {
+    const node = nodesMap[id];
+    if (!node || node.type !== 'TARGETING') {
+      return;
+    }
+    if (ancestors.includes(id)) {
+      errors.push({ code: 'CYCLIC_DECISION_TREE', path: '$.decisionNodes', message: `Cycle detected: ${[...ancestors, id].join(' > ')}` });
+      return;
+    }
+    const { rules, defaultNext } = node.targeting;
+    [...rules.map((r) => r.next), ...(defaultNext ? [defaultNext] : [])]
+      .forEach((next) => visit(next, [...ancestors, id]));
+  };
+  visit(policy.rootDecisionNodeId, []);
+}
+
+/**
+ * Validates a decision policy.
+ * @param {Object} policy The decision policy
+ * @returns {Object[]} the list of errors, each with a `code`, a `path` and a `message`,
+ * or an empty list if the policy is valid
+ */
+export function validateDecisionPolicy(policy) {
+  const errors = [];
+  validateSchema(policy, DECISION_POLICY_SCHEMA, '$', errors);
+  // semantic checks rely on a structurally valid policy
+  if (!errors.length) {
+    validateSemantics(policy, errors);
+  }
+  return errors;
+}
@@ -0,0 +1,189 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import {
+  DEFAULT_DECISIONING_OPTIONS,
+  createMemoryStorage,
+  evaluateAudienceRule,
+  getExperimentConfig,
+  parseAudienceRule,
+} from '../src/decisioning.js';
+import { createServerEnvironment } from '../src/adapters/server.js';
+
+describe('parseAudienceRule', () => {
+  it('parses the operator precedence', () => {
+    assert.deepEqual(parseAudienceRule('utm:source = newsletter OR NOT cookie:returning AND visits > 2'), {
+      or: [
+        { attribute: 'utm:source', operator: 'EQUALS', value: 'newsletter' },
+        {
+          and: [
+            { not: { attribute: 'cookie:returning', operator: 'EXISTS' } },
+            { attribute: 'visits', operator: 'GREATER_THAN', value: '2' },
+          ],
+        },
+      ],
+    });
+  });
+
+  it('rejects invalid rules', () => {
+    assert.throws(() => parseAudienceRule('unknown:attribute = 1'), /Unknown attribute/);
+    assert.throws(() => parseAudienceRule('(visits > 2'), /Expected "\)"/);
+    assert.throws(() => parseAudienceRule('referrer matches "(google"'), /Invalid pattern "\(google"/);
+  });
+});
+
+describe('evaluateAudienceRule', () => {
+  const env = createServerEnvironment({}, {
+    url: 'https://www.example.com/?utm_source=Newsletter',
+    referrer: 'https://www.google.com/',
+    language: 'fr-CH,fr;q=0.9',
+  });
+  const evaluate = (rule) => evaluateAudienceRule(parseAudienceRule(rule), env.getVisitor(), env);
+
+  it('evaluates the rules against the visitor', () => {
+    assert.equal(evaluate('utm:source = newsletter'), true);
+    assert.equal(evaluate('referrer matches "^https://www\\.google\\."'), true);
+    assert.equal(evaluate('language in (de-CH, fr-CH)'), true);
+    assert.equal(evaluate('language starts-with de OR cookie:returning'), false);
+  });
+});
+
+describe('getExperimentConfig', () => {
+  const getConfig = (metadata) => {
+    const env = createServerEnvironment(DEFAULT_DECISIONING_OPTIONS, { url: 'https://www.example.com/' });
+    return getExperimentConfig(DEFAULT_DECISIONING_OPTIONS, { value: 'hero-test', variants: '/variant-1', ...metadata }, {}, env);
+  };
+
+  it('serves the control if the ramp-up schedule is invalid', async () => {
+    const config = await getConfig({ ramp: 'day 1: 5%, day 3: 25%' });
+    assert.equal(config.run, false);
+    assert.deepEqual(config.errors.map((e) => e.code), ['INVALID_RAMP_STAGE', 'INVALID_RAMP_STAGE']);
+  });
+
+  it('applies a valid ramp-up schedule', async () => {
+    const config = await getConfig({ ramp: 'day 1: 5%, day 3: 100%', 'start-date': '2024-01-01' });
+    assert.equal(config.run, true);
+    assert.equal(config.errors, undefined);
+    assert.equal(config.rampStage.percentage, 100);
+  });
+});
+
+describe('experiment layers', () => {
+  const options = { ...DEFAULT_DECISIONING_OPTIONS, experimentsIndexFile: 'index.json' };
+  const index = [
+    { Experiment: 'cta-test', Layer: 'checkout', 'Traffic Allocation': '50' },
+    { Experiment: 'price-test', Layer: 'checkout', 'Traffic Allocation': '50' },
+    { Experiment: 'banner-test', Layer: 'home', 'Traffic Allocation': '50' },
+  ];
+  const getConfig = (metadata, pageMetadata = {}) => {
+    const env = createServerEnvironment(options, {
+      url: 'https://www.example.com/',
+      metadata: pageMetadata,
+      fetch: async () => ({ ok: true, json: async () => ({ data: index }) }),
+    });
+    return getExperimentConfig(options, { variants: '/variant-1', ...metadata }, {}, env);
+  };
+
+  it('serves the control for all the experiments of a layer with overlapping ranges', async () => {
+    const cta = await getConfig({ value: 'cta-test', layer: 'checkout', 'traffic-allocation': '50' });
+    const price = await getConfig({ value: 'price-test', layer: 'checkout', 'traffic-allocation': '50' });
+    const other = await getConfig({ value: 'shipping-test', layer: 'checkout', 'layer-offset': '60' });
+    [cta, price, other].forEach((config) => {
+      assert.equal(config.run, false);
+      assert.equal(config.errors[0].code, 'OVERLAPPING_LAYER_RANGE');
+    });
+  });
+
+  it('runs the experiments of a layer without overlapping ranges', async () => {
+    const metadata = {
+      value: 'hero-test', layer: 'home', 'layer-offset': '50', 'traffic-allocation': '50',
+    };
+    const config = await getConfig(metadata);
+    // visitors are either enrolled in the experiment or not, but the experiment is valid
+    assert.equal(config.errors, undefined);
+    assert.ok(config.trace.every((t) => t.check !== 'validation'));
+  });
+
+  it('checks the ranges of the page-level experiment', async () => {
+    const config = await getConfig({ value: 'hero-test', layer: 'search' }, {
+      experiment: 'search-test',
+      'experiment-layer': 'search',
+    });
+    assert.equal(config.run, false);
+    assert.match(config.errors[0].message, /"search-test" and "hero-test"/);
+  });
+});
+
+describe('block experiments', () => {
+  const getConfig = (variants, options = {}) => {
+    const pluginOptions = { ...DEFAULT_DECISIONING_OPTIONS, ...options };
+    const env = createServerEnvironment(pluginOptions, { url: 'https://www.example.com/' });
+    return getExperimentConfig(pluginOptions, { value: 'cards-test', blocks: 'cards', variants }, {}, env);
+  };
+
+  it('loads the block code from the site', async () => {
+    const config = await getConfig('cards-v2, /blocks/cards-v2/cards, https://www.example.com/cards');
+    assert.equal(config.errors, undefined);
+  });
+
+  it('loads the block code from the allowed code hosts', async () => {
+    const config = await getConfig('https://v2--site--org.aem.page', { blocksCodeHosts: ['*--site--org.aem.page'] });
+    assert.equal(config.errors, undefined);
+  });
+
+  it('serves the control if the block code is on another host', async () => {
+    const hosts = { blocksCodeHosts: ['*--site--org.aem.page'] };
+    const configs = await Promise.all([
+      getConfig('https://v2--site--org.aem.page'),
+      getConfig('//evil.example.net/cards', hosts),
+      getConfig('http://v2--site--org.aem.page', hosts),
+      getConfig('https://v2--site--org.aem.page.evil.example.net', hosts),
+    ]);
+    configs.forEach((config) => {
+      assert.equal(config.run, false);
+      assert.equal(config.errors[0].code, 'DISALLOWED_CODE_HOST');
+    });
+  });
+});
+
+describe('bandit experiments', () => {
+  it('keeps the visitor assignments across sessions', async () => {
+    const persistentStorage = createMemoryStorage();
+    const decide = async (stats) => {
+      const env = createServerEnvironment(DEFAULT_DECISIONING_OPTIONS, {
+        url: 'https://www.example.com/',
+        cookie: `${DEFAULT_DECISIONING_OPTIONS.identityStorageKey}=visitor-1`,
+        fetch: async () => ({ ok: true, json: async () => ({ data: stats }) }),
+      });
+      // a new session every time
+      env.storage = createMemoryStorage();
+      env.persistentStorage = persistentStorage;
+      const config = await getExperimentConfig(DEFAULT_DECISIONING_OPTIONS, {
+        value: 'hero-test',
+        variants: '/variant-1',
+        bandit: 'epsilon-greedy',
+        'bandit-epsilon': '0',
+        'randomization-unit': 'visitor',
+      }, {}, env);
+      return config.selectedVariant;
+    };
+    assert.equal(await decide([
+      { Variant: 'control', Impressions: 1000, Conversions: 90 },
+      { Variant: 'challenger-1', Impressions: 1000, Conversions: 10 },
+    ]), 'control');
+    assert.equal(await decide([
+      { Variant: 'control', Impressions: 1000, Conversions: 10 },
+      { Variant: 'challenger-1', Impressions: 1000, Conversions: 90 },
+    ]), 'control');
+  });
+});
@@ -0,0 +1,94 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { DEFAULT_DECISIONING_OPTIONS, getExperimentConfig } from '../src/decisioning.js';
+import { createServerEnvironment } from '../src/adapters/server.js';
+
+const options = { ...DEFAULT_DECISIONING_OPTIONS };
+
+describe('createServerEnvironment', () => {
+  it('handles missing request headers', () => {
+    const env = createServerEnvironment(options, {
+      url: 'https://www.example.com/',
+      cookie: null,
+      referrer: null,
+      language: null,
+    });
+    assert.deepEqual(env.getVisitor(), { referrer: '', cookies: {}, language: '' });
+    assert.equal(env.storage.getItem(options.identityStorageKey), null);
+  });
+
+  it('exposes the request details to the audience rules', () => {
+    const env = createServerEnvironment(options, {
+      url: 'https://www.example.com/',
+      cookie: 'plan=gold; name=J%C3%B6rg; broken=%E0%A4%A',
+      referrer: 'https://www.google.com/',
+      language: 'de-CH,de;q=0.9,en;q=0.8',
+    });
+    assert.deepEqual(env.getVisitor(), {
+      referrer: 'https://www.google.com/',
+      cookies: { plan: 'gold', name: 'Jörg', broken: '%E0%A4%A' },
+      language: 'de-CH',
+    });
+  });
+
+  it('persists the stored values as Set-Cookie headers', () => {
+    const env = createServerEnvironment(options, { url: 'https://www.example.com/', cookie: 'a=1' });
+    env.storage.setItem('b', '2');
+    env.storage.removeItem('a');
+    assert.equal(env.storage.getItem('a'), null);
+    assert.equal(env.storage.getItem('b'), '2');
+    assert.deepEqual(env.getSetCookieHeaders(), [
+      `b=2; max-age=${options.storageTtl * 86400}; path=/; SameSite=Lax; Secure`,
+      'a=; max-age=0; path=/; SameSite=Lax; Secure',
+    ]);
+  });
+
+  it('reads the metadata given with the request', () => {
+    const env = createServerEnvironment(options, {
+      url: 'https://www.example.com/',
+      metadata: { experiment: 'hero-test' },
+    });
+    assert.equal(env.getMetadata('experiment'), 'hero-test');
+    assert.equal(env.getMetadata('campaign'), '');
+  });
+
+  it('makes the same decision for the same visitor', async () => {
+    const decide = async (cookie) => {
+      const env = createServerEnvironment(options, { url: 'https://www.example.com/', cookie });
+      const config = await getExperimentConfig(options, {
+        value: 'hero-test',
+        variants: '/variant-1, /variant-2',
+        'randomization-unit': 'visitor',
+      }, {}, env);
+      return config.selectedVariant;
+    };
+    const visitor = `${options.identityStorageKey}=visitor-1`;
+    const variant = await decide(visitor);
+    assert.ok(['control', 'challenger-1', 'challenger-2'].includes(variant));
+    for (let i = 0; i < 5; i += 1) {
+      // eslint-disable-next-line no-await-in-loop
+      assert.equal(await decide(visitor), variant);
+    }
+  });
+
+  it('makes reproducible decisions with a random seed', async () => {
+    const seeded = { ...options, randomSeed: 42 };
+    const decide = async () => {
+      const env = createServerEnvironment(seeded, { url: 'https://www.example.com/' });
+      const config = await getExperimentConfig(seeded, { value: 'hero-test', variants: '/variant-1' }, {}, env);
+      return config.selectedVariant;
+    };
+    assert.equal(await decide(), await decide());
+  });
+});
@@ -25,6 +25,27 @@ const AUDIENCES = { // add your custom audiences to the list
   desktop: () => window.innerWidth >= 600,
 };
 
+const EXPERIMENTATION_OPTIONS = {
+  audiences: AUDIENCES,
+  // the query parameter flagging the visitors redirected to the variant page of an experiment
+  experimentsRedirectQueryParameter: 'redirect-experiment',
+  // the site-wide experiments index in the `/experiments` folder, i.e. `index.json`
+  experimentsIndexFile: null,
+};
+
+/**
+ * Checks whether the experimentation plugin is needed on the current page.
+ * @returns {Boolean} `true` if the plugin should be loaded
+ */
+function isExperimentationEnabled() {
+  return document.head.querySelectorAll('meta[name^="experiment-"],meta[name^="campaign-"],meta[name^="audience-"]').length
+    // variant pages of redirect experiments
+    || new URLSearchParams(window.location.search)
+      .has(EXPERIMENTATION_OPTIONS.experimentsRedirectQueryParameter)
+    // pages targeted by the site-wide experiments index do not carry any metadata
+    || !!EXPERIMENTATION_OPTIONS.experimentsIndexFile;
+}
+
 const pluginContext = {
   getAllMetadata,
   getMetadata,
@@ -97,10 +118,10 @@ async function loadEager(doc) {
   document.documentElement.lang = 'en';
   decorateTemplateAndTheme();
   // Add below snippet early in the eager phase
-  if (document.head.querySelectorAll('meta[name^="experiment-"],meta[name^="campaign-"],meta[name^="audience-"]').length) {
+  if (isExperimentationEnabled()) {
     // eslint-disable-next-line import/no-relative-packages
     const { loadEager: runEager } = await import('../plugins/experimentation/src/index.js');
-    await runEager(document, { audiences: AUDIENCES });
+    await runEager(document, EXPERIMENTATION_OPTIONS);
   }
   const main = doc.querySelector('main');
   if (main) {
@@ -141,10 +162,10 @@ async function loadLazy(doc) {
   sampleRUM.observe(main.querySelectorAll('div[data-block-name]'));
   sampleRUM.observe(main.querySelectorAll('picture > img'));
 
-  if (document.head.querySelectorAll('meta[name^="experiment-"],meta[name^="campaign-"],meta[name^="audience-"]').length) {
+  if (isExperimentationEnabled()) {
     // eslint-disable-next-line import/no-relative-packages
     const { loadLazy: runLazy } = await import('../plugins/experimentation/src/index.js');
-    await runLazy(document, { audiences: AUDIENCES });
+    await runLazy(document, EXPERIMENTATION_OPTIONS);
   }
 }
 